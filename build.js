@@ -1,222 +1,334 @@
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const zlib = require('zlib');
+
+const ActionRegistry = require('./com.ijakesays.streamdeck.twitchmod.sdPlugin/plugin/libs/js/action-registry.js');
 
 // Plugin identifier
-const PLUGIN_ID = 'com.twitchmod.streamdeck';
+const PLUGIN_ID = ActionRegistry.PLUGIN_UUID;
 const PLUGIN_DIR = `${PLUGIN_ID}.sdPlugin`;
+const SOURCE_DIR = path.join(__dirname, PLUGIN_DIR);
+const DIST_DIR = path.join(__dirname, 'dist');
+const OUTPUT_DIR = path.join(DIST_DIR, PLUGIN_DIR);
+
+// Base (@1x) size in pixels for each kind of image the manifest references
+const ICON_ROLE_SIZES = {
+    pluginIcon: 72,
+    categoryIcon: 28,
+    actionIcon: 20,
+    stateImage: 72
+};
+
+const ICON_COLORS = {
+    'plugin': '#9146FF',
+    'category': '#9146FF',
+    'shield': '#00D4FF',
+    'subscribers': '#FF00FF',
+    'followers': '#00FF00',
+    'emotes': '#FFFF00',
+    'slow': '#FF6600',
+    'automod': '#0099FF',
+    'shoutout': '#FF0099',
+    'rewards': '#9900FF',
+    'ban': '#FF3333',
+    'undo': '#CCCCCC',
+    'preset': '#33CC99',
+    'channel': '#FFAA00'
+};
+
+// 5x7 bitmap glyphs for the icon letters
+const GLYPHS = {
+    A: ['01110', '10001', '10001', '11111', '10001', '10001', '10001'],
+    B: ['11110', '10001', '10001', '11110', '10001', '10001', '11110'],
+    C: ['01110', '10001', '10000', '10000', '10000', '10001', '01110'],
+    E: ['11111', '10000', '10000', '11110', '10000', '10000', '11111'],
+    F: ['11111', '10000', '10000', '11110', '10000', '10000', '10000'],
+    P: ['11110', '10001', '10001', '11110', '10000', '10000', '10000'],
+    R: ['11110', '10001', '10001', '11110', '10100', '10010', '10001'],
+    S: ['01111', '10000', '10000', '01110', '00001', '00001', '11110'],
+    U: ['10001', '10001', '10001', '10001', '10001', '10001', '01110']
+};
+
+// Validate manifest.json against the action registry
+function validateManifest(manifest) {
+    const errors = [];
 
-// Create plugin directory structure
-function createDirectoryStructure() {
-    const directories = [
-        PLUGIN_DIR,
-        path.join(PLUGIN_DIR, 'plugin'),
-        path.join(PLUGIN_DIR, 'plugin', 'libs'),
-        path.join(PLUGIN_DIR, 'plugin', 'libs', 'js'),
-        path.join(PLUGIN_DIR, 'pi'),
-        path.join(PLUGIN_DIR, 'pi', 'css'),
-        path.join(PLUGIN_DIR, 'pi', 'js'),
-        path.join(PLUGIN_DIR, 'icons')
-    ];
-
-    directories.forEach(dir => {
-        if (!fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
-            console.log(`Created directory: ${dir}`);
+    const expected = ActionRegistry.all().map(definition => ActionRegistry.toManifestAction(definition));
+    const actual = manifest.Actions || [];
+    expected.forEach(action => {
+        const match = actual.find(candidate => candidate.UUID === action.UUID);
+        if (!match) {
+            errors.push(`Action ${action.UUID} is missing from manifest.json`);
+        } else if (JSON.stringify(match) !== JSON.stringify(action)) {
+            errors.push(`Action ${action.UUID} does not match the action registry`);
+        }
+    });
+    actual.forEach(action => {
+        if (!ActionRegistry.get(action.UUID)) {
+            errors.push(`Action ${action.UUID} is not in the action registry`);
+        }
+        if (!action.UUID.startsWith(`${PLUGIN_ID}.`)) {
+            errors.push(`Action ${action.UUID} is outside the ${PLUGIN_ID} namespace`);
         }
     });
-}
 
-// Generate icon files (placeholder SVGs for now)
-function generateIcons() {
-    const iconSizes = {
-        'plugin': [20, 40],
-        'category': [28, 56],
-        'shield': [20, 40, 72, 144],
-        'subscribers': [20, 40, 72, 144],
-        'followers': [20, 40, 72, 144],
-        'emotes': [20, 40, 72, 144],
-        'slow': [20, 40, 72, 144],
-        'automod': [20, 40, 72, 144],
-        'shoutout': [20, 40, 72, 144],
-        'rewards': [20, 40, 72, 144]
-    };
+    ['CodePath', 'PropertyInspectorPath'].forEach(key => {
+        if (!manifest[key] || !fs.existsSync(path.join(SOURCE_DIR, manifest[key]))) {
+            errors.push(`${key} "${manifest[key]}" does not exist`);
+        }
+    });
 
-    const colors = {
-        'plugin': '#9146FF',
-        'category': '#9146FF',
-        'shield': '#00D4FF',
-        'subscribers': '#FF00FF',
-        'followers': '#00FF00',
-        'emotes': '#FFFF00',
-        'slow': '#FF6600',
-        'automod': '#0099FF',
-        'shoutout': '#FF0099',
-        'rewards': '#9900FF'
+    if (errors.length > 0) {
+        throw new Error(`manifest.json is invalid:\n  - ${errors.join('\n  - ')}`);
+    }
+    console.log(`Validated manifest.json (${actual.length} actions)`);
+}
+
+// Collect every image path the manifest references with the largest size it is shown at
+function collectIconSizes(manifest) {
+    const sizes = {};
+    const addIcon = (iconPath, role) => {
+        sizes[iconPath] = Math.max(sizes[iconPath] || 0, ICON_ROLE_SIZES[role]);
     };
 
-    Object.keys(iconSizes).forEach(iconName => {
-        iconSizes[iconName].forEach((size, index) => {
-            const isRetina = index > 0 && size === iconSizes[iconName][index-1] * 2;
-            const filename = isRetina ? 
-                `${iconName}@2x.png` : 
-                `${iconName}.png`;
-            
-            const svg = `<?xml version="1.0" encoding="UTF-8"?>
-<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" xmlns="http://www.w3.org/2000/svg">
-    <rect width="${size}" height="${size}" fill="#1a1a1a"/>
-    <circle cx="${size/2}" cy="${size/2}" r="${size/3}" fill="${colors[iconName]}" opacity="0.8"/>
-    <text x="${size/2}" y="${size/2}" font-family="Arial" font-size="${size/4}" fill="white" text-anchor="middle" dy=".3em">${iconName[0].toUpperCase()}</text>
-</svg>`;
-            
-            const iconPath = path.join(PLUGIN_DIR, 'icons', filename);
-            
-            // For this example, we'll save as SVG (in production, convert to PNG)
-            fs.writeFileSync(iconPath.replace('.png', '.svg'), svg);
-            console.log(`Generated icon: ${filename}`);
-        });
+    addIcon(manifest.Icon, 'pluginIcon');
+    addIcon(manifest.CategoryIcon, 'categoryIcon');
+    manifest.Actions.forEach(action => {
+        addIcon(action.Icon, 'actionIcon');
+        action.States.forEach(state => addIcon(state.Image, 'stateImage'));
     });
+    return sizes;
 }
 
-// Create Stream Deck library files
-function createLibraryFiles() {
-    // Create stream-deck.js
-    const streamDeckJs = `// Stream Deck JavaScript Library
-// This file provides helper functions for Stream Deck plugins
-
-const StreamDeck = {
-    // Helper function to parse command line arguments
-    parseArgs: function() {
-        const args = {};
-        process.argv.slice(2).forEach(arg => {
-            const [key, value] = arg.split('=');
-            args[key.replace('-', '')] = value;
-        });
-        return args;
-    },
-    
-    // Format logging
-    log: function(message) {
-        console.log(\`[StreamDeck] \${new Date().toISOString()} - \${message}\`);
+// Parse a "#RRGGBB" color
+function parseColor(hex) {
+    return [1, 3, 5].map(offset => parseInt(hex.substr(offset, 2), 16));
+}
+
+// Rasterize an icon: a colored disc with the icon's initial on a dark background
+function renderIcon(name, size) {
+    const samples = 4;
+    const background = parseColor('#1A1A1A');
+    const color = parseColor(ICON_COLORS[name] || '#9146FF');
+    const glyph = GLYPHS[name[0].toUpperCase()];
+    if (!glyph) {
+        throw new Error(`No glyph for icon "${name}"`);
     }
-};
 
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = StreamDeck;
-}`;
-
-    fs.writeFileSync(
-        path.join(PLUGIN_DIR, 'plugin', 'libs', 'js', 'stream-deck.js'),
-        streamDeckJs
-    );
-
-    // Create utils.js
-    const utilsJs = `// Utility functions for the plugin
-
-const Utils = {
-    // Debounce function
-    debounce: function(func, wait) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-        };
-    },
-    
-    // Format time
-    formatTime: function(seconds) {
-        const hours = Math.floor(seconds / 3600);
-        const minutes = Math.floor((seconds % 3600) / 60);
-        const secs = seconds % 60;
-        
-        if (hours > 0) {
-            return \`\${hours}h \${minutes}m \${secs}s\`;
-        } else if (minutes > 0) {
-            return \`\${minutes}m \${secs}s\`;
-        } else {
-            return \`\${secs}s\`;
+    const center = size / 2;
+    const radius = size / 3;
+    const cell = (size * 0.4) / glyph.length;
+    const glyphLeft = center - (glyph[0].length * cell) / 2;
+    const glyphTop = center - (glyph.length * cell) / 2;
+
+    const pixels = Buffer.alloc(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            let discCoverage = 0;
+            let glyphCoverage = 0;
+
+            // Supersample each pixel for anti-aliased edges
+            for (let sy = 0; sy < samples; sy++) {
+                for (let sx = 0; sx < samples; sx++) {
+                    const px = x + (sx + 0.5) / samples;
+                    const py = y + (sy + 0.5) / samples;
+                    if (Math.hypot(px - center, py - center) <= radius) {
+                        discCoverage++;
+                    }
+                    const row = Math.floor((py - glyphTop) / cell);
+                    const column = Math.floor((px - glyphLeft) / cell);
+                    if (glyph[row] && glyph[row][column] === '1') {
+                        glyphCoverage++;
+                    }
+                }
+            }
+
+            const disc = (discCoverage / (samples * samples)) * 0.8;
+            const letter = glyphCoverage / (samples * samples);
+            const offset = (y * size + x) * 4;
+            for (let channel = 0; channel < 3; channel++) {
+                const base = background[channel] * (1 - disc) + color[channel] * disc;
+                pixels[offset + channel] = Math.round(base * (1 - letter) + 255 * letter);
+            }
+            pixels[offset + 3] = 255;
         }
-    },
-    
-    // Validate Twitch username
-    validateTwitchUsername: function(username) {
-        const regex = /^[a-zA-Z0-9_]{4,25}$/;
-        return regex.test(username);
     }
-};
+    return pixels;
+}
 
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = Utils;
-}`;
-
-    fs.writeFileSync(
-        path.join(PLUGIN_DIR, 'plugin', 'libs', 'js', 'utils.js'),
-        utilsJs
-    );
-
-    // Create property-inspector.js
-    const piJs = `// Property Inspector JavaScript
-
-const PropertyInspector = {
-    // Initialize
-    init: function() {
-        // Add event listeners
-        document.addEventListener('DOMContentLoaded', this.onDOMContentLoaded.bind(this));
-    },
-    
-    onDOMContentLoaded: function() {
-        // Setup is handled in the HTML file's inline script
-        console.log('Property Inspector loaded');
+// CRC-32 as used by PNG and ZIP
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
     }
-};
+    return c >>> 0;
+});
 
-PropertyInspector.init();`;
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Encode RGBA pixels as a PNG file
+function encodePng(pixels, size) {
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(crc32(body));
+        return Buffer.concat([length, body, crc]);
+    };
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 6;  // RGBA
+
+    // Each scanline starts with filter type 0 (none)
+    const rowLength = size * 4;
+    const raw = Buffer.alloc((rowLength + 1) * size);
+    for (let y = 0; y < size; y++) {
+        pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
 
-    fs.writeFileSync(
-        path.join(PLUGIN_DIR, 'pi', 'js', 'property-inspector.js'),
-        piJs
-    );
+// Render every referenced icon at @1x and @2x into the output folder
+function generateIcons(manifest) {
+    const sizes = collectIconSizes(manifest);
+    Object.keys(sizes).forEach(iconPath => {
+        const name = path.basename(iconPath);
+        [[1, ''], [2, '@2x']].forEach(([scale, suffix]) => {
+            const size = sizes[iconPath] * scale;
+            const target = path.join(OUTPUT_DIR, `${iconPath}${suffix}.png`);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, encodePng(renderIcon(name, size), size));
+            console.log(`Rendered icon: ${iconPath}${suffix}.png (${size}x${size})`);
+        });
+    });
+}
+
+// Copy plugin sources into the output folder, skipping the icons rendered above
+function copySources(sourceDir, targetDir) {
+    fs.mkdirSync(targetDir, { recursive: true });
+    fs.readdirSync(sourceDir, { withFileTypes: true }).forEach(entry => {
+        if (entry.name.startsWith('.')) {
+            return;
+        }
+        const source = path.join(sourceDir, entry.name);
+        const target = path.join(targetDir, entry.name);
+        if (entry.isDirectory()) {
+            if (source !== path.join(SOURCE_DIR, 'icons')) {
+                copySources(source, target);
+            }
+        } else {
+            fs.copyFileSync(source, target);
+        }
+    });
+}
 
-    console.log('Created library files');
+// List files below a directory, relative to it, with forward slashes
+function listFiles(dir, prefix = '') {
+    return fs.readdirSync(dir, { withFileTypes: true }).reduce((files, entry) => {
+        const relative = prefix + entry.name;
+        return entry.isDirectory() ?
+            files.concat(listFiles(path.join(dir, entry.name), `${relative}/`)) :
+            files.concat(relative);
+    }, []);
 }
 
-// Copy files from artifacts to plugin directory
-function copyArtifactFiles() {
-    // Note: In a real scenario, you would copy the actual files
-    // For this example, we're showing the structure
-    console.log('Files should be copied from artifacts to plugin directory');
+// Package the output folder as a .streamDeckPlugin (a zip holding the .sdPlugin folder)
+function createPackage() {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    listFiles(OUTPUT_DIR).forEach(file => {
+        const data = fs.readFileSync(path.join(OUTPUT_DIR, file));
+        const compressed = zlib.deflateRawSync(data);
+        const name = Buffer.from(`${PLUGIN_DIR}/${file}`, 'utf8');
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt16LE(20, 4);                 // version needed
+        local.writeUInt16LE(0x0800, 6);             // UTF-8 names
+        local.writeUInt16LE(8, 8);                  // deflate
+        local.writeUInt32LE(0, 10);                 // time and date
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt16LE(20, 4);               // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(0, 12);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(centralParts.length / 2, 8);
+    end.writeUInt16LE(centralParts.length / 2, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    const packagePath = path.join(DIST_DIR, `${PLUGIN_ID}.streamDeckPlugin`);
+    fs.writeFileSync(packagePath, Buffer.concat([...localParts, centralDirectory, end]));
+    return packagePath;
 }
 
 // Main build function
 function build() {
+    const shouldPackage = process.argv.includes('--package');
     console.log('Building Twitch Moderator Tools Stream Deck Plugin...\n');
-    
-    // Create directory structure
-    createDirectoryStructure();
-    
-    // Generate icons
-    generateIcons();
-    
-    // Create library files
-    createLibraryFiles();
-    
-    // Copy artifact files
-    copyArtifactFiles();
-    
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(SOURCE_DIR, 'manifest.json'), 'utf8'));
+    validateManifest(manifest);
+
+    // Start from a clean output folder; sources are only ever read
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+    copySources(SOURCE_DIR, OUTPUT_DIR);
+    generateIcons(manifest);
+
     console.log('\n✅ Build complete!');
-    console.log(`Plugin directory created: ${PLUGIN_DIR}`);
-    console.log('\nNext steps:');
-    console.log('1. Copy the manifest.json to the plugin directory');
-    console.log('2. Copy the HTML files to their respective directories');
-    console.log('3. Copy the CSS file to pi/css/');
-    console.log('4. Convert SVG icons to PNG format');
-    console.log('5. Use the Stream Deck Distribution Tool to package the plugin');
-    console.log('\nTo package: DistributionTool -b -i com.twitchmod.streamdeck -o .');
+    console.log(`Plugin directory created: ${path.relative(__dirname, OUTPUT_DIR)}`);
+
+    if (shouldPackage) {
+        const packagePath = createPackage();
+        console.log(`Package created: ${path.relative(__dirname, packagePath)}`);
+    }
 }
 
-// Run build
-build();
+try {
+    build();
+} catch (error) {
+    console.error(`\n❌ Build failed: ${error.message}`);
+    process.exit(1);
+}
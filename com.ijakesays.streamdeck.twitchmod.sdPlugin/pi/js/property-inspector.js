@@ -5,8 +5,12 @@ class TwitchModPropertyInspector {
         this.websocket = null;
         this.uuid = null;
         this.actionInfo = null;
+        this.action = null;
         this.settings = {};
         this.globalSettings = {};
+        this.recentChatters = [];
+        this.chatActivity = { chatRate: 0, firstTimeChatters: [] };
+        this.rewards = null;
         
         // Bind methods
         this.onDocumentReady = this.onDocumentReady.bind(this);
@@ -30,6 +34,10 @@ class TwitchModPropertyInspector {
     connectElgatoStreamDeckSocket(inPort, inPropertyInspectorUUID, inRegisterEvent, inInfo, inActionInfo) {
         this.uuid = inPropertyInspectorUUID;
         this.actionInfo = JSON.parse(inActionInfo);
+        this.action = ActionRegistry.get(this.actionInfo.action);
+        
+        // Show the panel for this action now that we know which one it is
+        this.initializeUI();
         
         // Connect to Stream Deck
         this.websocket = new WebSocket('ws://127.0.0.1:' + inPort);
@@ -47,6 +55,11 @@ class TwitchModPropertyInspector {
             
             // Request settings for this action instance
             this.requestSettings();
+
+            // Ask which scopes this action is missing
+            this.sendToPlugin({ action: 'getTokenStatus' });
+            
+            this.requestAuditLog();
         };
         
         this.websocket.onmessage = (evt) => {
@@ -81,45 +94,62 @@ class TwitchModPropertyInspector {
      */
     setupEventListeners() {
         // Global settings inputs
-        const globalInputs = ['twitchChannel', 'twitchToken', 'twitchBroadcasterId', 'twitchModeratorId', 'twitchClientId'];
+        const globalInputs = ['twitchChannel', 'twitchToken', 'twitchClientId', 'shoutoutFallback'];
         globalInputs.forEach(id => {
             const element = document.getElementById(id);
             if (element) {
-                element.addEventListener('change', () => this.saveGlobalSettings());
+                element.addEventListener('change', () => {
+                    if (this.validateInputs()) this.saveGlobalSettings();
+                });
             }
         });
         
-        // Action-specific settings
-        const actionInputs = ['shieldDuration', 'followDuration', 'slowDelay'];
-        actionInputs.forEach(id => {
+        const savePresetButton = document.getElementById('savePresetButton');
+        if (savePresetButton) {
+            savePresetButton.addEventListener('click', () => this.savePreset());
+        }
+        
+        const deletePresetButton = document.getElementById('deletePresetButton');
+        if (deletePresetButton) {
+            deletePresetButton.addEventListener('click', () => this.deletePreset());
+        }
+        
+        const addProfileButton = document.getElementById('addProfileButton');
+        if (addProfileButton) {
+            addProfileButton.addEventListener('click', () => this.addChannelProfile());
+        }
+        
+        const addShoutoutButton = document.getElementById('addShoutoutButton');
+        if (addShoutoutButton) {
+            addShoutoutButton.addEventListener('click', () => this.addShoutout());
+        }
+        
+        // The plugin filters the audit log and sends the matches back
+        ['auditText', 'auditAction', 'auditResult'].forEach(id => {
             const element = document.getElementById(id);
             if (element) {
-                element.addEventListener('change', () => this.saveSettings());
+                element.addEventListener(id === 'auditText' ? 'input' : 'change', () => this.requestAuditLog());
             }
         });
         
+        const exportAuditButton = document.getElementById('exportAuditButton');
+        if (exportAuditButton) {
+            exportAuditButton.addEventListener('click', () => this.sendToPlugin({ action: 'exportAuditLog', filter: this.getAuditFilter() }));
+        }
+        
         // Button click handlers
         const saveButton = document.getElementById('saveButton');
         if (saveButton) {
             saveButton.addEventListener('click', () => {
+                if (!this.validateInputs()) return;
                 this.saveGlobalSettings();
-                this.saveSettings();
-                this.showSaveConfirmation();
+                if (this.saveSettings()) this.showSaveConfirmation();
             });
         }
         
         const getTokenButton = document.getElementById('getTokenButton');
         if (getTokenButton) {
-            getTokenButton.addEventListener('click', () => {
-                this.openUrl('https://twitchapps.com/tmi/');
-            });
-        }
-        
-        const getIdButton = document.getElementById('getIdButton');
-        if (getIdButton) {
-            getIdButton.addEventListener('click', () => {
-                this.openUrl('https://www.streamweasels.com/tools/convert-twitch-username-to-user-id/');
-            });
+            getTokenButton.addEventListener('click', () => this.startAuthorization());
         }
         
         // Test connection button
@@ -129,32 +159,269 @@ class TwitchModPropertyInspector {
         }
     }
 
+    /**
+     * Build an input for each of this action's settings from its schema
+     */
+    renderActionFields() {
+        const container = document.getElementById('actionFields');
+        if (!container || !this.action || container.children.length > 0) return;
+        
+        Object.keys(this.action.settings).forEach(field => {
+            const schema = this.action.settings[field];
+            
+            // Fields without a label are filled in by their panel, e.g. from a checkbox list
+            if (!schema.label) {
+                const hidden = document.createElement('input');
+                hidden.type = 'hidden';
+                hidden.id = field;
+                container.appendChild(hidden);
+                return;
+            }
+            
+            const row = document.createElement('div');
+            row.className = 'sdpi-item';
+            row.id = `${field}Item`;
+            
+            const label = document.createElement('div');
+            label.className = 'sdpi-item-label';
+            const details = [schema.unit, schema.hint].filter(Boolean).join(', ');
+            label.textContent = details ? `${schema.label} (${details})` : schema.label;
+            row.appendChild(label);
+            
+            let input;
+            if (schema.options || schema.control === 'select') {
+                input = document.createElement('select');
+                (schema.options || []).forEach(option => input.add(new Option(option.label, option.value)));
+            } else if (schema.duration) {
+                input = document.createElement('input');
+                input.type = 'text';
+                input.placeholder = 'e.g. 90s, 5m or 1h30m';
+            } else {
+                input = document.createElement('input');
+                input.type = schema.type === 'integer' ? 'number' : 'text';
+                if (schema.min !== undefined) input.min = schema.min;
+                if (schema.max !== undefined) input.max = schema.max;
+                if (schema.maxLength !== undefined) input.maxLength = schema.maxLength;
+                if (schema.placeholder) input.placeholder = schema.placeholder;
+            }
+            input.className = 'sdpi-item-value';
+            input.id = field;
+            input.value = schema.duration ? Utils.formatDurationField(schema.default, schema) : schema.default;
+            row.appendChild(input);
+            
+            const error = document.createElement('div');
+            error.className = 'field-error status-error';
+            error.id = `${field}Error`;
+            row.appendChild(error);
+            container.appendChild(row);
+        });
+        
+        // Save after the listeners that fill in related fields, such as the picked chatter's login
+        this.setupActionListeners();
+        container.querySelectorAll('.sdpi-item-value').forEach(input => {
+            input.addEventListener('change', () => this.saveSettings());
+        });
+    }
+
+    /**
+     * Listeners for generated inputs that do more than save the key's settings
+     */
+    setupActionListeners() {
+        // The picked chatter's login is saved with their ID for the key title
+        const banUserId = document.getElementById('banUserId');
+        if (banUserId) {
+            banUserId.addEventListener('change', () => {
+                const option = banUserId.options[banUserId.selectedIndex];
+                document.getElementById('banUserLogin').value = option && option.value ? option.textContent : '';
+            });
+        }
+        
+        const presetName = document.getElementById('presetName');
+        if (presetName) {
+            presetName.addEventListener('change', () => {
+                this.loadPreset(presetName.value);
+                this.showPresetStatus([]);
+            });
+        }
+        
+        ['banMode', 'banTarget'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('change', () => this.updateBanFields());
+            }
+        });
+    }
+
+    /**
+     * Show the schema errors next to their inputs
+     * @param {Object} errors - Message per field
+     * @param {Object} warnings - Message per field whose value was saved changed, e.g. clamped
+     */
+    showFieldErrors(errors, warnings = {}) {
+        const fields = this.action ? this.action.settings : {};
+        Object.keys(fields).forEach(field => {
+            const input = document.getElementById(field);
+            if (input) input.classList.toggle('invalid', Boolean(errors[field]));
+            
+            const error = document.getElementById(`${field}Error`);
+            if (error) {
+                error.textContent = errors[field] || warnings[field] || '';
+                error.className = `field-error ${errors[field] ? 'status-error' : 'status-warning'}`;
+            }
+        });
+    }
+
+    /**
+     * Build the preset editor rows from the modes a preset covers
+     */
+    renderPresetEditor() {
+        const editor = document.getElementById('presetEditor');
+        if (!editor || editor.children.length > 0) return;
+        
+        ChatPresets.MODES.forEach(mode => {
+            const row = document.createElement('div');
+            row.className = 'sdpi-item preset-mode';
+            row.innerHTML = `<label><input type="checkbox" id="preset-${mode.mode}"> ${mode.label}</label>`;
+            
+            if (mode.options) {
+                const select = document.createElement('select');
+                select.className = 'sdpi-item-value';
+                select.id = `preset-${mode.duration}`;
+                mode.options.forEach(option => select.add(new Option(`${option} ${mode.unit}`, option)));
+                row.appendChild(select);
+            } else if (mode.duration) {
+                const input = document.createElement('input');
+                input.className = 'sdpi-item-value';
+                input.type = 'text';
+                input.id = `preset-${mode.duration}`;
+                input.placeholder = 'e.g. 90s, 5m or 1h30m';
+                input.title = `Bare numbers are ${mode.unit}`;
+                row.appendChild(input);
+            }
+            editor.appendChild(row);
+        });
+    }
+
+    /**
+     * Fill the preset picker and editor from the shared presets
+     */
+    renderPresets() {
+        const select = document.getElementById('presetName');
+        if (!select) return;
+        
+        const presets = ChatPresets.all(this.globalSettings);
+        select.innerHTML = '';
+        Object.keys(presets).forEach(name => select.add(new Option(name, name)));
+        select.value = this.settings.presetName || '';
+        this.loadPreset(select.value);
+    }
+
+    /**
+     * Show a preset's settings in the editor
+     */
+    loadPreset(name) {
+        this.renderPresetEditor();
+        const preset = ChatPresets.get(this.globalSettings, name) || {};
+        
+        ChatPresets.MODES.forEach(mode => {
+            const checkbox = document.getElementById(`preset-${mode.mode}`);
+            if (checkbox) checkbox.checked = Boolean(preset[mode.mode]);
+            
+            const duration = mode.duration && document.getElementById(`preset-${mode.duration}`);
+            if (duration) {
+                const value = preset[mode.duration];
+                duration.value = value !== undefined && value !== null ? value : mode.default;
+                if (!mode.options) duration.value = Utils.formatDurationField(duration.value, mode);
+            }
+        });
+    }
+
+    /**
+     * Show what went wrong, or was changed, when saving a preset
+     * @param {Array<string>} messages - One message per mode
+     * @param {boolean} isError - True if the preset was not saved
+     */
+    showPresetStatus(messages, isError = false) {
+        const status = document.getElementById('presetStatus');
+        if (!status) return;
+        
+        status.textContent = messages.join('; ');
+        status.className = `field-error ${isError ? 'status-error' : 'status-warning'}`;
+    }
+
+    /**
+     * Save the editor as a preset shared through the global settings
+     */
+    savePreset() {
+        const saveName = document.getElementById('presetSaveName');
+        const name = saveName.value.trim() || document.getElementById('presetName').value;
+        if (!name) return;
+        
+        const preset = {};
+        const errors = [];
+        const warnings = [];
+        ChatPresets.MODES.forEach(mode => {
+            preset[mode.mode] = document.getElementById(`preset-${mode.mode}`).checked;
+            if (mode.options) {
+                preset[mode.duration] = parseInt(document.getElementById(`preset-${mode.duration}`).value, 10);
+            } else if (mode.duration) {
+                const result = Utils.readDurationField(document.getElementById(`preset-${mode.duration}`).value, mode);
+                if (result.error) errors.push(`${mode.label}: ${result.error}`);
+                if (result.warning) warnings.push(`${mode.label}: ${result.warning}`);
+                preset[mode.duration] = result.value;
+            }
+        });
+        if (errors.length > 0) {
+            this.showPresetStatus(errors, true);
+            return;
+        }
+        
+        this.globalSettings.chatPresets = { ...ChatPresets.all(this.globalSettings), [name]: preset };
+        this.settings.presetName = name;
+        saveName.value = '';
+        this.renderPresets();
+        this.showPresetStatus(warnings);
+        this.saveGlobalSettings();
+        this.saveSettings();
+    }
+
+    /**
+     * Remove the selected preset for every key
+     */
+    deletePreset() {
+        const name = document.getElementById('presetName').value;
+        if (!name) return;
+        
+        const presets = { ...ChatPresets.all(this.globalSettings) };
+        delete presets[name];
+        this.globalSettings.chatPresets = presets;
+        this.renderPresets();
+        this.saveGlobalSettings();
+        this.saveSettings();
+    }
+
     /**
      * Initialize UI elements
      */
     initializeUI() {
-        // Show/hide action-specific settings based on action type
-        const action = this.actionInfo?.action;
+        // Offer every action as an audit log filter
+        const auditAction = document.getElementById('auditAction');
+        if (auditAction && auditAction.options.length === 1) {
+            ActionRegistry.all().forEach(action => auditAction.add(new Option(action.name, action.uuid)));
+        }
         
         // Hide all detail sections first
         document.querySelectorAll('.action-settings').forEach(el => {
             el.style.display = 'none';
         });
         
-        // Show relevant section based on action
-        switch(action) {
-            case 'com.twitchmod.streamdeck.shieldmode':
-                const shieldSettings = document.getElementById('shieldSettings');
-                if (shieldSettings) shieldSettings.style.display = 'block';
-                break;
-            case 'com.twitchmod.streamdeck.followersonly':
-                const followerSettings = document.getElementById('followerSettings');
-                if (followerSettings) followerSettings.style.display = 'block';
-                break;
-            case 'com.twitchmod.streamdeck.slowmode':
-                const slowSettings = document.getElementById('slowSettings');
-                if (slowSettings) slowSettings.style.display = 'block';
-                break;
+        // Show the inputs for this action's settings and any panel with extra controls
+        if (this.action) {
+            this.renderActionFields();
+            
+            const hasFields = Object.keys(this.action.settings).some(field => this.action.settings[field].label);
+            const panel = document.getElementById(this.action.panel || (hasFields ? '' : 'noSettings'));
+            if (panel) panel.style.display = 'block';
         }
     }
 
@@ -164,21 +431,22 @@ class TwitchModPropertyInspector {
     onDidReceiveSettings(settings) {
         this.settings = settings || {};
         
-        // Update UI with received settings
-        if (settings.shieldDuration) {
-            const element = document.getElementById('shieldDuration');
-            if (element) element.value = settings.shieldDuration;
-        }
-        
-        if (settings.followDuration) {
-            const element = document.getElementById('followDuration');
-            if (element) element.value = settings.followDuration;
-        }
+        // Update UI with the fields this action's schema defines; 0 and empty strings are values too
+        const fields = this.action ? this.action.settings : {};
+        Object.keys(fields).forEach(field => {
+            const value = this.settings[field];
+            if (value !== undefined && value !== null) {
+                const element = document.getElementById(field);
+                if (element) element.value = fields[field].duration ? Utils.formatDurationField(value, fields[field]) : value;
+            }
+        });
+        this.showFieldErrors({});
         
-        if (settings.slowDelay) {
-            const element = document.getElementById('slowDelay');
-            if (element) element.value = settings.slowDelay;
-        }
+        this.renderRecentChatters(this.recentChatters, this.chatActivity);
+        this.renderRewards(this.rewards);
+        this.updateBanFields();
+        this.renderPresets();
+        this.renderChannelProfiles();
     }
 
     /**
@@ -198,20 +466,117 @@ class TwitchModPropertyInspector {
             if (element) element.value = settings.twitchToken;
         }
         
-        if (settings.twitchBroadcasterId) {
-            const element = document.getElementById('twitchBroadcasterId');
-            if (element) element.value = settings.twitchBroadcasterId;
+        const shoutoutFallback = document.getElementById('shoutoutFallback');
+        if (shoutoutFallback) {
+            shoutoutFallback.value = ShoutoutQueue.fallbackMessage(settings);
         }
         
-        if (settings.twitchModeratorId) {
-            const element = document.getElementById('twitchModeratorId');
-            if (element) element.value = settings.twitchModeratorId;
+        // IDs are resolved by the plugin; show them with their display names for confirmation
+        const twitchBroadcasterId = document.getElementById('twitchBroadcasterId');
+        if (twitchBroadcasterId) twitchBroadcasterId.value = settings.twitchBroadcasterId || '';
+
+        const broadcasterName = document.getElementById('broadcasterName');
+        if (broadcasterName) {
+            if (settings.twitchBroadcasterName) {
+                broadcasterName.textContent = settings.twitchBroadcasterName;
+                broadcasterName.className = 'status-success';
+            } else if (settings.twitchBroadcasterLogin) {
+                broadcasterName.textContent = `Channel "${settings.twitchBroadcasterLogin}" not found`;
+                broadcasterName.className = 'status-error';
+            } else {
+                broadcasterName.textContent = '';
+            }
+        }
+
+        const twitchModeratorId = document.getElementById('twitchModeratorId');
+        if (twitchModeratorId) twitchModeratorId.value = settings.twitchModeratorId || '';
+
+        const moderatorName = document.getElementById('moderatorName');
+        if (moderatorName) {
+            moderatorName.textContent = settings.twitchModeratorName || '';
+            moderatorName.className = 'status-success';
         }
         
         if (settings.twitchClientId) {
             const element = document.getElementById('twitchClientId');
             if (element) element.value = settings.twitchClientId;
         }
+        
+        this.renderPresets();
+        this.renderChannelProfiles();
+    }
+
+    /**
+     * List the channel profiles and offer them in the channel pickers
+     */
+    renderChannelProfiles() {
+        const profiles = ChannelProfiles.all(this.globalSettings);
+        const active = ChannelProfiles.active(this.globalSettings);
+        
+        const list = document.getElementById('channelProfileList');
+        if (list) {
+            list.innerHTML = '';
+            profiles.forEach(profile => {
+                const item = document.createElement('li');
+                const state = profile.id === active.id ? ', active' : '';
+                item.textContent = `${profile.name} (${profile.channel || 'no channel'}${state}) `;
+                
+                // The default profile is edited under Twitch Configuration
+                if (profile.id !== ChannelProfiles.DEFAULT) {
+                    const remove = document.createElement('button');
+                    remove.textContent = 'Remove';
+                    remove.addEventListener('click', () => this.removeChannelProfile(profile.id));
+                    item.appendChild(remove);
+                }
+                list.appendChild(item);
+            });
+        }
+        
+        [['channel', 'Active channel'], ['switchTo', 'Next channel']].forEach(([id, label]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            
+            select.innerHTML = '';
+            select.add(new Option(label, ChannelProfiles.ACTIVE));
+            profiles.forEach(profile => select.add(new Option(profile.name, profile.id)));
+            select.value = this.settings[id] || ChannelProfiles.ACTIVE;
+        });
+    }
+
+    /**
+     * Add a channel profile from the editor fields
+     */
+    addChannelProfile() {
+        const name = document.getElementById('profileName');
+        const channel = document.getElementById('profileChannel');
+        const token = document.getElementById('profileToken');
+        const status = document.getElementById('profileStatus');
+        if (!this.validateTwitchUsername(channel.value)) {
+            status.textContent = 'Enter a valid channel name';
+            status.className = 'status-error';
+            return;
+        }
+        
+        status.textContent = '';
+        const profile = ChannelProfiles.create({ name: name.value, channel: channel.value, token: token.value });
+        this.globalSettings.channelProfiles = (this.globalSettings.channelProfiles || []).concat(profile);
+        name.value = '';
+        channel.value = '';
+        token.value = '';
+        this.renderChannelProfiles();
+        this.saveGlobalSettings();
+    }
+
+    /**
+     * Remove a channel profile; keys pinned to it show NO CHANNEL until another is picked
+     */
+    removeChannelProfile(id) {
+        this.globalSettings.channelProfiles = (this.globalSettings.channelProfiles || []).filter(profile => profile.id !== id);
+        if (this.globalSettings.activeChannelProfile === id) {
+            delete this.globalSettings.activeChannelProfile;
+        }
+        this.renderChannelProfiles();
+        this.saveGlobalSettings();
     }
 
     /**
@@ -220,32 +585,266 @@ class TwitchModPropertyInspector {
     onSendToPropertyInspector(payload) {
         // Handle custom messages from the plugin
         if (payload.event === 'connectionTest') {
-            this.handleConnectionTestResult(payload.success, payload.message);
+            this.handleConnectionTestResult(payload.success, payload.message, payload.checks);
+        } else if (payload.event === 'tokenStatus') {
+            this.handleTokenStatus(payload);
+        } else if (payload.event === 'authorizationPending') {
+            this.handleAuthorizationPending(payload.userCode, payload.verificationUri);
+        } else if (payload.event === 'authorizationComplete') {
+            this.handleAuthorizationComplete(payload.success, payload.message);
+        } else if (payload.event === 'recentChatters') {
+            this.renderRecentChatters(payload.chatters, payload);
+        } else if (payload.event === 'shoutoutQueue') {
+            this.renderShoutoutQueue(payload.entries);
+        } else if (payload.event === 'rewards') {
+            this.renderRewards(payload.loaded ? payload.rewards : null);
+        } else if (payload.event === 'auditLog') {
+            this.renderAuditLog(payload.entries, payload.total);
+        } else if (payload.event === 'auditLogCsv') {
+            this.offerAuditCsv(payload.csv);
         }
     }
 
     /**
-     * Save settings for this action instance
+     * List the channel's rewards with a checkbox each for the Redemptions key
+     * @param {Array|null} rewards - Rewards, or null while the plugin is still loading them
      */
-    saveSettings() {
-        const settings = {};
+    renderRewards(rewards) {
+        this.rewards = rewards;
+        
+        const list = document.getElementById('rewardList');
+        if (!list) return;
         
-        // Get action-specific settings
-        const shieldDuration = document.getElementById('shieldDuration');
-        if (shieldDuration) {
-            settings.shieldDuration = parseInt(shieldDuration.value) || 300;
+        if (!rewards) {
+            list.textContent = 'Loading rewards...';
+            return;
         }
+        if (rewards.length === 0) {
+            list.textContent = 'No rewards created with this Client ID';
+            return;
+        }
+        
+        const selected = (this.settings.rewardIds || '').split(',').filter(Boolean);
+        list.innerHTML = '';
+        rewards.forEach(reward => {
+            const label = document.createElement('label');
+            label.className = 'reward-option';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = reward.id;
+            checkbox.checked = selected.includes(reward.id);
+            checkbox.addEventListener('change', () => this.saveRewardSelection());
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${reward.title} (${reward.pending})`));
+            list.appendChild(label);
+        });
+    }
+
+    /**
+     * Store the ticked rewards as the key's comma-separated rewardIds
+     */
+    saveRewardSelection() {
+        const checked = document.querySelectorAll('#rewardList input:checked');
+        document.getElementById('rewardIds').value = Array.from(checked).map(checkbox => checkbox.value).join(',');
+        this.saveSettings();
+    }
+
+    /**
+     * Read the audit log filter from the form
+     */
+    getAuditFilter() {
+        const value = id => {
+            const element = document.getElementById(id);
+            return element ? element.value : '';
+        };
+        return { text: value('auditText'), action: value('auditAction'), result: value('auditResult') };
+    }
+
+    /**
+     * Ask the plugin for the audit log entries matching the filter
+     */
+    requestAuditLog() {
+        this.sendToPlugin({ action: 'getAuditLog', filter: this.getAuditFilter() });
+    }
+
+    /**
+     * List audit log entries, newest first
+     * @param {Array} entries - Matching entries the plugin sent
+     * @param {number} total - Number of matching entries in the log
+     */
+    renderAuditLog(entries, total) {
+        const list = document.getElementById('auditEntries');
+        if (!list) return;
         
-        const followDuration = document.getElementById('followDuration');
-        if (followDuration) {
-            settings.followDuration = parseInt(followDuration.value) || 10;
+        document.getElementById('auditSummary').textContent = total > entries.length ?
+            `Showing the latest ${entries.length} of ${total} entries` : `${total} ${total === 1 ? 'entry' : 'entries'}`;
+        
+        list.innerHTML = '';
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            const key = entry.coordinates ? ` [${entry.coordinates.column},${entry.coordinates.row}]` : ` (${entry.source})`;
+            const status = entry.status ? ` ${entry.status}` : '';
+            item.textContent = `${new Date(entry.at).toLocaleString()} ${entry.moderator || '?'}: ${entry.actionName}${key} ${entry.result}${status}`;
+            item.className = entry.result === 'ok' ? 'status-success' : 'status-error';
+            if (entry.error) item.title = entry.error;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Offer the exported audit log as a CSV download
+     */
+    offerAuditCsv(csv) {
+        const link = document.getElementById('auditDownload');
+        if (!link) return;
+        
+        link.href = 'data:text/csv;charset=utf-8,' + encodeURIComponent(csv);
+        link.style.display = '';
+        link.click();
+    }
+
+    /**
+     * Ask the plugin to queue a shoutout for the entered channel
+     */
+    addShoutout() {
+        const input = document.getElementById('shoutoutLogin');
+        const login = input.value.trim();
+        if (!login) return;
+        
+        this.sendToPlugin({ action: 'addShoutout', login: login });
+        input.value = '';
+    }
+
+    /**
+     * List the queued shoutouts with a button to drop each one
+     */
+    renderShoutoutQueue(entries) {
+        const list = document.getElementById('shoutoutQueueList');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        if (!entries || entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'Nobody is waiting for a shoutout';
+            list.appendChild(empty);
+            return;
         }
         
-        const slowDelay = document.getElementById('slowDelay');
-        if (slowDelay) {
-            settings.slowDelay = parseInt(slowDelay.value) || 3;
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            const ready = entry.readyAt <= Date.now() ? 'next' : `after ${new Date(entry.readyAt).toLocaleTimeString()}`;
+            item.textContent = `${entry.login} (${entry.source}, ${ready}) `;
+            
+            const remove = document.createElement('button');
+            remove.textContent = 'Remove';
+            remove.addEventListener('click', () => this.sendToPlugin({ action: 'removeShoutout', userId: entry.userId }));
+            item.appendChild(remove);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Fill the Timeout / Ban user picker, keeping the saved user selectable, and
+     * show how busy chat is
+     * @param {Array<Object>} chatters - Recent chatters, newest first
+     * @param {Object} [activity] - { chatRate, firstTimeChatters }
+     */
+    renderRecentChatters(chatters, activity) {
+        this.recentChatters = chatters || [];
+        this.chatActivity = {
+            chatRate: (activity && activity.chatRate) || 0,
+            firstTimeChatters: (activity && activity.firstTimeChatters) || []
+        };
+        
+        const select = document.getElementById('banUserId');
+        if (!select) return;
+        
+        const firstTimers = new Set(this.chatActivity.firstTimeChatters.map(chatter => chatter.userId));
+        document.getElementById('chatActivity').textContent = this.describeChatActivity();
+        
+        const options = this.recentChatters.slice();
+        const { banUserId, banUserLogin } = this.settings;
+        if (banUserId && !options.some(chatter => chatter.userId === banUserId)) {
+            options.unshift({ userId: banUserId, login: banUserLogin || banUserId });
         }
         
+        select.innerHTML = '';
+        if (options.length === 0) {
+            select.add(new Option('Nobody has chatted yet', ''));
+        } else {
+            select.add(new Option('Select a chatter', ''));
+            options.forEach(chatter => {
+                const label = firstTimers.has(chatter.userId) ? `${chatter.login} (first message)` : chatter.login;
+                select.add(new Option(label, chatter.userId));
+            });
+        }
+        select.value = banUserId || '';
+        document.getElementById('banUserLogin').value = banUserLogin || '';
+    }
+
+    /**
+     * Sum up the chat rate and first-time chatters for the Timeout / Ban inspector
+     * @returns {string} Summary
+     */
+    describeChatActivity() {
+        const { chatRate, firstTimeChatters } = this.chatActivity;
+        const rate = `Chat: ${Math.round(chatRate)} ${Math.round(chatRate) === 1 ? 'message' : 'messages'} per minute`;
+        if (firstTimeChatters.length === 0) {
+            return `${rate}.`;
+        }
+        return `${rate}. First-time chatters: ${firstTimeChatters.map(chatter => chatter.login).join(', ')}.`;
+    }
+
+    /**
+     * Only show the Timeout / Ban fields that apply to the chosen action and target
+     */
+    updateBanFields() {
+        const banMode = document.getElementById('banMode');
+        const banTarget = document.getElementById('banTarget');
+        if (!banMode || !banTarget) return;
+        
+        document.getElementById('banDurationItem').style.display = banMode.value === 'ban' ? 'none' : '';
+        document.getElementById('banUserIdItem').style.display = banTarget.value === 'selected' ? '' : 'none';
+    }
+
+    /**
+     * Save settings for this action instance
+     *
+     * Nothing is saved while an input breaks the action's schema; the errors
+     * are shown next to the inputs instead.
+     * @returns {boolean} True if the settings were valid and saved
+     */
+    saveSettings() {
+        const values = { ...this.settings };
+        
+        // Get the fields this action's schema defines; durations are converted to the field's unit
+        const fields = this.action ? this.action.settings : {};
+        const durationErrors = {};
+        const warnings = {};
+        Object.keys(fields).forEach(field => {
+            const element = document.getElementById(field);
+            if (!element) return;
+            
+            if (!fields[field].duration) {
+                values[field] = element.value;
+                return;
+            }
+            const duration = Utils.readDurationField(element.value, fields[field]);
+            if (duration.error) {
+                durationErrors[field] = duration.error;
+            } else {
+                values[field] = duration.value;
+                warnings[field] = duration.warning;
+                element.value = Utils.formatDurationField(duration.value, fields[field]);
+            }
+        });
+        
+        const result = ActionRegistry.validateSettings(this.actionInfo && this.actionInfo.action, values);
+        const errors = { ...result.errors, ...durationErrors };
+        this.showFieldErrors(errors, warnings);
+        if (Object.keys(errors).length > 0) return false;
+        const settings = result.settings;
+        
         // Send settings to Stream Deck
         if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
             const json = {
@@ -258,13 +857,15 @@ class TwitchModPropertyInspector {
         
         // Store locally
         this.settings = settings;
+        return true;
     }
 
     /**
      * Save global settings
      */
     saveGlobalSettings() {
-        const settings = {};
+        // Keep fields the form does not edit, such as refresh tokens
+        const settings = { ...this.globalSettings };
         
         // Get global settings from form
         const twitchChannel = document.getElementById('twitchChannel');
@@ -275,16 +876,13 @@ class TwitchModPropertyInspector {
         const twitchToken = document.getElementById('twitchToken');
         if (twitchToken) {
             settings.twitchToken = twitchToken.value.trim();
-        }
-        
-        const twitchBroadcasterId = document.getElementById('twitchBroadcasterId');
-        if (twitchBroadcasterId) {
-            settings.twitchBroadcasterId = twitchBroadcasterId.value.trim();
-        }
-        
-        const twitchModeratorId = document.getElementById('twitchModeratorId');
-        if (twitchModeratorId) {
-            settings.twitchModeratorId = twitchModeratorId.value.trim();
+
+            // A pasted token does not belong to the stored refresh token
+            if (settings.twitchToken !== this.globalSettings.twitchToken) {
+                delete settings.twitchRefreshToken;
+                delete settings.twitchTokenExpiresAt;
+                delete settings.twitchTokenScopes;
+            }
         }
         
         const twitchClientId = document.getElementById('twitchClientId');
@@ -292,6 +890,11 @@ class TwitchModPropertyInspector {
             settings.twitchClientId = twitchClientId.value.trim();
         }
         
+        const shoutoutFallback = document.getElementById('shoutoutFallback');
+        if (shoutoutFallback) {
+            settings.shoutoutFallback = shoutoutFallback.value.trim();
+        }
+        
         // Send to Stream Deck
         if (this.websocket && this.websocket.readyState === WebSocket.OPEN) {
             const json = {
@@ -374,6 +977,11 @@ class TwitchModPropertyInspector {
     testTwitchConnection() {
         const testButton = document.getElementById('testConnection');
         const statusElement = document.getElementById('connectionStatus');
+        const checksElement = document.getElementById('connectionChecks');
+        
+        if (checksElement) {
+            checksElement.innerHTML = '';
+        }
         
         if (testButton) {
             testButton.disabled = true;
@@ -409,7 +1017,7 @@ class TwitchModPropertyInspector {
     /**
      * Handle connection test result
      */
-    handleConnectionTestResult(success, message) {
+    handleConnectionTestResult(success, message, checks = []) {
         const testButton = document.getElementById('testConnection');
         const statusElement = document.getElementById('connectionStatus');
         
@@ -422,6 +1030,110 @@ class TwitchModPropertyInspector {
             statusElement.textContent = message || (success ? 'Connected successfully!' : 'Connection failed');
             statusElement.className = success ? 'status-success' : 'status-error';
         }
+        
+        // Render the per-check report as a checklist; details can hold Twitch error messages and names
+        const checksElement = document.getElementById('connectionChecks');
+        if (checksElement) {
+            checksElement.innerHTML = '';
+            checks.forEach(check => {
+                const item = document.createElement('li');
+                item.className = check.ok ? 'check-ok' : 'check-failed';
+                const label = document.createElement('strong');
+                label.textContent = check.label;
+                item.appendChild(label);
+                item.appendChild(document.createTextNode(`: ${check.detail}`));
+                checksElement.appendChild(item);
+            });
+        }
+    }
+
+    /**
+     * Ask the plugin to start the Twitch device code authorization
+     */
+    startAuthorization() {
+        // The plugin needs the Client ID before it can start the flow
+        this.saveGlobalSettings();
+
+        const statusElement = document.getElementById('authStatus');
+        if (statusElement) {
+            statusElement.textContent = 'Contacting Twitch...';
+            statusElement.className = 'status-testing';
+        }
+
+        this.sendToPlugin({ action: 'startAuthorization' });
+    }
+
+    /**
+     * Show the code the user has to enter on Twitch
+     */
+    handleAuthorizationPending(userCode, verificationUri) {
+        const statusElement = document.getElementById('authStatus');
+        if (statusElement) {
+            statusElement.className = 'status-testing';
+            statusElement.textContent = 'Enter this code at ';
+
+            // The URI and code come from the server, so they only ever go in as text and attributes
+            const link = document.createElement('a');
+            link.href = verificationUri;
+            link.target = '_blank';
+            link.textContent = 'twitch.tv/activate';
+            statusElement.appendChild(link);
+            statusElement.appendChild(document.createTextNode(':'));
+
+            const code = document.createElement('div');
+            code.className = 'auth-code';
+            code.textContent = userCode;
+            statusElement.appendChild(code);
+        }
+    }
+
+    /**
+     * Handle the end of the authorization flow
+     */
+    handleAuthorizationComplete(success, message) {
+        const statusElement = document.getElementById('authStatus');
+        if (statusElement) {
+            statusElement.textContent = message || (success ? 'Connected to Twitch!' : 'Authorization failed');
+            statusElement.className = success ? 'status-success' : 'status-error';
+        }
+
+        // Pick up the tokens the plugin stored
+        if (success) {
+            this.requestGlobalSettings();
+        }
+    }
+
+    /**
+     * Show who the token belongs to and which scopes this action is missing
+     */
+    handleTokenStatus(status) {
+        const statusElement = document.getElementById('scopeStatus');
+        if (!statusElement) {
+            return;
+        }
+
+        if (!status.validated) {
+            statusElement.textContent = '';
+            statusElement.className = '';
+        } else if (!status.valid) {
+            statusElement.textContent = 'Twitch rejected this token. Click "Connect to Twitch" to get a new one.';
+            statusElement.className = 'status-error';
+        } else if (status.missingScopes.length > 0) {
+            statusElement.textContent = `Token for ${status.login} is missing scopes this action needs:`;
+            const list = document.createElement('ul');
+            status.missingScopes.forEach(scope => {
+                const item = document.createElement('li');
+                const code = document.createElement('code');
+                code.textContent = scope;
+                item.appendChild(code);
+                list.appendChild(item);
+            });
+            statusElement.appendChild(list);
+            statusElement.className = 'status-error';
+        } else {
+            statusElement.textContent = `Signed in as ${status.login}`;
+            statusElement.className = 'status-success';
+        }
     }
 
     /**
@@ -442,37 +1154,19 @@ class TwitchModPropertyInspector {
     }
 
     /**
-     * Validate form inputs
+     * Validate the Twitch Configuration inputs
+     *
+     * The token may be left empty to connect through Connect to Twitch, and
+     * the IDs are resolved by the plugin, so only the channel name is checked.
+     * @returns {boolean} True if the global settings can be saved
      */
     validateInputs() {
-        let isValid = true;
         const errors = [];
         
         // Validate Twitch channel
         const channelInput = document.getElementById('twitchChannel');
-        if (channelInput && !this.validateTwitchUsername(channelInput.value)) {
+        if (channelInput && channelInput.value.trim() && !this.validateTwitchUsername(channelInput.value)) {
             errors.push('Invalid Twitch channel name');
-            isValid = false;
-        }
-        
-        // Validate OAuth token
-        const tokenInput = document.getElementById('twitchToken');
-        if (tokenInput && !tokenInput.value) {
-            errors.push('OAuth token is required');
-            isValid = false;
-        }
-        
-        // Validate IDs (should be numeric)
-        const broadcasterIdInput = document.getElementById('twitchBroadcasterId');
-        if (broadcasterIdInput && !/^\d+$/.test(broadcasterIdInput.value)) {
-            errors.push('Broadcaster ID must be numeric');
-            isValid = false;
-        }
-        
-        const moderatorIdInput = document.getElementById('twitchModeratorId');
-        if (moderatorIdInput && !/^\d+$/.test(moderatorIdInput.value)) {
-            errors.push('Moderator ID must be numeric');
-            isValid = false;
         }
         
         // Show errors if any
@@ -486,7 +1180,7 @@ class TwitchModPropertyInspector {
             }
         }
         
-        return isValid;
+        return errors.length === 0;
     }
 
     /**
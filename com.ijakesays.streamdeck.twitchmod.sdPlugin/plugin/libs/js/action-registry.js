@@ -0,0 +1,485 @@
+// Action registry for the Twitch Moderator Stream Deck plugin
+//
+// Single source of truth for every action: its UUID, manifest entry, settings
+// schema, required OAuth scopes and Property Inspector panel. The runtime,
+// the Property Inspector and generate-manifest.js all read from here.
+
+const PLUGIN_UUID = 'com.ijakesays.streamdeck.twitchmod';
+
+// Namespace used by earlier builds of the plugin and Property Inspector
+const LEGACY_PLUGIN_UUID = 'com.twitchmod.streamdeck';
+
+const CHAT_SETTINGS_SCOPES = ['moderator:manage:chat_settings'];
+
+// Key settings are described by a schema per field:
+//   type        'integer' or 'string'
+//   default     Value used when the field is missing
+//   min, max    Integer bounds, inclusive
+//   unit        Unit of an integer, shown after its label
+//   hint        Extra note shown after the unit
+//   duration    Integer typed as a duration such as "1h30m" (see Utils.parseDuration), stored in unit
+//   maxLength   Longest string allowed
+//   options     Allowed string values, as { value, label }
+//   label       Property Inspector label; fields without one are stored in hidden inputs
+//   control     'select' for pickers whose options the Property Inspector fills in itself
+//   placeholder Placeholder for text inputs
+// The Property Inspector builds its inputs from the schema, and both it and
+// the plugin check settings with validateSettings.
+
+// Optional auto-off timer shared by the chat mode toggles; 0 leaves the mode on
+const AUTO_OFF_SETTING = { type: 'integer', default: 0, min: 0, max: 86400, unit: 'seconds', duration: true, hint: '0 = never', label: 'Auto-off After' };
+
+// Channel profile a key acts on; empty follows the active channel
+const CHANNEL_SETTING = { type: 'string', default: '', label: 'Channel', control: 'select' };
+
+const ACTION_DEFINITIONS = [
+    {
+        key: 'SHIELD_MODE',
+        id: 'shieldmode',
+        name: 'Shield Mode',
+        icon: 'shield',
+        tooltip: 'Toggle Shield Mode',
+        toggleField: 'shield_mode',
+        timerField: 'shieldDuration',
+        scopes: ['moderator:manage:shield_mode'],
+        panel: null,
+        settings: {
+            shieldDuration: { type: 'integer', default: 300, min: 1, max: 1800, unit: 'seconds', duration: true, label: 'Shield Mode Duration' },
+            channel: CHANNEL_SETTING
+        }
+    },
+    {
+        key: 'SUBS_ONLY',
+        id: 'subsonly',
+        name: 'Subscribers Only',
+        icon: 'subscribers',
+        tooltip: 'Toggle Subscribers Only Chat',
+        toggleField: 'subscriber_mode',
+        timerField: 'autoOffAfter',
+        scopes: CHAT_SETTINGS_SCOPES,
+        panel: null,
+        settings: {
+            autoOffAfter: AUTO_OFF_SETTING,
+            channel: CHANNEL_SETTING
+        }
+    },
+    {
+        key: 'FOLLOWERS_ONLY',
+        id: 'followersonly',
+        name: 'Followers Only',
+        icon: 'followers',
+        tooltip: 'Toggle Followers Only Chat',
+        toggleField: 'follower_mode',
+        timerField: 'autoOffAfter',
+        scopes: CHAT_SETTINGS_SCOPES,
+        panel: null,
+        settings: {
+            followDuration: { type: 'integer', default: 10, min: 0, max: 129600, unit: 'minutes', duration: true, label: 'Follow Duration' },
+            autoOffAfter: AUTO_OFF_SETTING,
+            channel: CHANNEL_SETTING
+        }
+    },
+    {
+        key: 'EMOTES_ONLY',
+        id: 'emotesonly',
+        name: 'Emotes Only',
+        icon: 'emotes',
+        tooltip: 'Toggle Emotes Only Chat',
+        toggleField: 'emote_mode',
+        timerField: 'autoOffAfter',
+        scopes: CHAT_SETTINGS_SCOPES,
+        panel: null,
+        settings: {
+            autoOffAfter: AUTO_OFF_SETTING,
+            channel: CHANNEL_SETTING
+        }
+    },
+    {
+        key: 'SLOW_MODE',
+        id: 'slowmode',
+        name: 'Slow Mode',
+        icon: 'slow',
+        tooltip: 'Toggle Slow Mode (3s)',
+        toggleField: 'slow_mode',
+        timerField: 'autoOffAfter',
+        scopes: CHAT_SETTINGS_SCOPES,
+        panel: null,
+        settings: {
+            slowDelay: { type: 'integer', default: 3, min: 3, max: 120, unit: 'seconds', duration: true, label: 'Slow Mode Delay' },
+            autoOffAfter: AUTO_OFF_SETTING,
+            channel: CHANNEL_SETTING
+        }
+    },
+    {
+        key: 'CHAT_PRESET',
+        id: 'chatpreset',
+        name: 'Chat Preset',
+        icon: 'preset',
+        tooltip: 'Apply a saved chat settings preset',
+        toggleField: null,
+        scopes: CHAT_SETTINGS_SCOPES,
+        panel: 'presetSettings',
+        settings: {
+            presetName: { type: 'string', default: 'Normal', label: 'Preset', control: 'select' },
+            channel: CHANNEL_SETTING
+        }
+    },
+    {
+        key: 'ALLOW_AUTOMOD',
+        id: 'allowautomod',
+        name: 'Allow AutoMod',
+        icon: 'automod',
+        tooltip: 'Allow most recent AutoMod message',
+        toggleField: null,
+        scopes: ['moderator:manage:automod'],
+        panel: null,
+        settings: {
+            channel: CHANNEL_SETTING
+        }
+    },
+    {
+        key: 'AUTOMOD_NEXT',
+        id: 'automodnext',
+        name: 'Next Held Message',
+        icon: 'automod',
+        tooltip: 'Select the next message held by AutoMod',
+        toggleField: null,
+        // Only moves the local selection, so quick repeated presses are intended
+        repeatable: true,
+        scopes: ['moderator:manage:automod'],
+        panel: null,
+        settings: {
+            channel: CHANNEL_SETTING
+        }
+    },
+    {
+        key: 'AUTOMOD_ALLOW',
+        id: 'automodallow',
+        name: 'Allow Selected',
+        icon: 'automod',
+        tooltip: 'Allow the selected AutoMod message',
+        toggleField: null,
+        scopes: ['moderator:manage:automod'],
+        panel: null,
+        settings: {
+            channel: CHANNEL_SETTING
+        }
+    },
+    {
+        key: 'AUTOMOD_DENY',
+        id: 'automoddeny',
+        name: 'Deny Selected',
+        icon: 'automod',
+        tooltip: 'Deny the selected AutoMod message',
+        toggleField: null,
+        scopes: ['moderator:manage:automod'],
+        panel: null,
+        settings: {
+            channel: CHANNEL_SETTING
+        }
+    },
+    {
+        key: 'AUTO_SHOUTOUT',
+        id: 'autoshoutout',
+        name: 'Auto Shoutout',
+        icon: 'shoutout',
+        tooltip: 'Shoutout raiders as the Twitch cooldowns allow',
+        toggleField: null,
+        scopes: ['moderator:manage:shoutouts'],
+        // Only needed while a fallback chat message is set
+        fallbackScopes: ['user:write:chat'],
+        panel: 'shoutoutSettings',
+        settings: {
+            channel: CHANNEL_SETTING
+        }
+    },
+    {
+        key: 'CLEAR_REWARDS',
+        id: 'clearrewards',
+        name: 'Clear Rewards',
+        icon: 'rewards',
+        tooltip: 'Clear rewards request queue',
+        toggleField: null,
+        scopes: ['channel:manage:redemptions'],
+        panel: null,
+        settings: {
+            channel: CHANNEL_SETTING
+        }
+    },
+    {
+        key: 'REDEMPTIONS',
+        id: 'redemptions',
+        name: 'Redemptions',
+        icon: 'rewards',
+        tooltip: 'Fulfill, refund, pause or disable channel points rewards',
+        toggleField: null,
+        scopes: ['channel:manage:redemptions'],
+        panel: 'redemptionSettings',
+        settings: {
+            rewardAction: {
+                type: 'string',
+                default: 'fulfillOldest',
+                label: 'Action',
+                options: [
+                    { value: 'fulfillOldest', label: 'Fulfill oldest redemption' },
+                    { value: 'refundOldest', label: 'Refund oldest redemption' },
+                    { value: 'refundAll', label: 'Refund all redemptions' },
+                    { value: 'togglePause', label: 'Pause / unpause reward' },
+                    { value: 'toggleEnabled', label: 'Enable / disable reward' }
+                ]
+            },
+            // Comma-separated reward IDs; empty means every manageable reward
+            rewardIds: { type: 'string', default: '' },
+            channel: CHANNEL_SETTING
+        }
+    },
+    {
+        key: 'TIMEOUT_BAN',
+        id: 'timeoutban',
+        name: 'Timeout / Ban',
+        icon: 'ban',
+        tooltip: 'Time out or ban a recent chatter',
+        toggleField: null,
+        scopes: ['moderator:manage:banned_users', 'user:read:chat'],
+        panel: 'banSettings',
+        settings: {
+            banMode: {
+                type: 'string',
+                default: 'timeout',
+                label: 'Action',
+                options: [
+                    { value: 'timeout', label: 'Timeout' },
+                    { value: 'ban', label: 'Permanent ban' }
+                ]
+            },
+            banDuration: { type: 'integer', default: 600, min: 1, max: 1209600, unit: 'seconds', duration: true, label: 'Timeout Duration' },
+            // Twitch rejects ban reasons longer than 500 characters
+            banReason: { type: 'string', default: '', maxLength: 500, label: 'Reason', placeholder: 'e.g. Spam: {message}' },
+            banTarget: {
+                type: 'string',
+                default: 'chatter',
+                label: 'Target',
+                options: [
+                    { value: 'chatter', label: 'Most recent chatter' },
+                    { value: 'automod', label: 'Most recent AutoMod-held author' },
+                    { value: 'selected', label: 'Pick from recent chatters' }
+                ]
+            },
+            banUserId: { type: 'string', default: '', label: 'User', control: 'select' },
+            banUserLogin: { type: 'string', default: '' },
+            channel: CHANNEL_SETTING
+        }
+    },
+    {
+        key: 'UNDO',
+        id: 'undo',
+        name: 'Undo',
+        icon: 'undo',
+        tooltip: 'Undo the last moderation action',
+        toggleField: null,
+        // Undoing only needs the scopes the original action already used
+        scopes: [],
+        panel: null,
+        settings: {
+            channel: CHANNEL_SETTING
+        }
+    },
+    {
+        key: 'SWITCH_CHANNEL',
+        id: 'switchchannel',
+        name: 'Switch Channel',
+        icon: 'channel',
+        tooltip: 'Switch the channel keys act on',
+        toggleField: null,
+        scopes: [],
+        panel: 'switchChannelSettings',
+        settings: {
+            // Profile to switch to; empty cycles through every profile
+            switchTo: { type: 'string', default: '', label: 'Switch To', control: 'select' }
+        }
+    }
+].map(definition => Object.freeze({
+    ...definition,
+    uuid: `${PLUGIN_UUID}.${definition.id}`,
+    legacyUuids: [`${LEGACY_PLUGIN_UUID}.${definition.id}`]
+}));
+
+const ActionRegistry = {
+    PLUGIN_UUID: PLUGIN_UUID,
+
+    /**
+     * Get every action definition
+     * @returns {Array<Object>} Action definitions in manifest order
+     */
+    all: function() {
+        return ACTION_DEFINITIONS;
+    },
+
+    /**
+     * Collect every scope any action can need, including those only some settings need
+     * @returns {Array<string>} Scopes, sorted
+     */
+    scopes: function() {
+        const scopes = new Set();
+        ACTION_DEFINITIONS.forEach(definition => {
+            definition.scopes.concat(definition.fallbackScopes || []).forEach(scope => scopes.add(scope));
+        });
+        return Array.from(scopes).sort();
+    },
+
+    /**
+     * Map each action key to its UUID
+     * @returns {Object} e.g. { SHIELD_MODE: 'com.ijakesays.streamdeck.twitchmod.shieldmode', ... }
+     */
+    uuids: function() {
+        const uuids = {};
+        ACTION_DEFINITIONS.forEach(definition => {
+            uuids[definition.key] = definition.uuid;
+        });
+        return Object.freeze(uuids);
+    },
+
+    /**
+     * Look up an action by its current or a legacy UUID
+     * @param {string} uuid - Action UUID
+     * @returns {Object|null} Action definition
+     */
+    get: function(uuid) {
+        return ACTION_DEFINITIONS.find(definition => {
+            return definition.uuid === uuid || definition.legacyUuids.includes(uuid);
+        }) || null;
+    },
+
+    /**
+     * Translate a legacy UUID to the current one
+     * @param {string} uuid - Action UUID
+     * @returns {string} Current UUID, or the input if it is unknown
+     */
+    canonicalUuid: function(uuid) {
+        const definition = this.get(uuid);
+        return definition ? definition.uuid : uuid;
+    },
+
+    /**
+     * Bring stored key settings up to the action's current schema
+     *
+     * Fills in defaults for missing fields and converts numbers that older
+     * Property Inspectors stored as strings. Unknown fields are kept.
+     * @param {string} uuid - Action UUID
+     * @param {Object} settings - Stored settings
+     * @returns {Object} Migrated settings
+     */
+    migrateSettings: function(uuid, settings) {
+        const definition = this.get(uuid);
+        const migrated = { ...(settings || {}) };
+        if (!definition) {
+            return migrated;
+        }
+
+        Object.keys(definition.settings).forEach(field => {
+            const schema = definition.settings[field];
+            const value = migrated[field];
+            if (value === undefined || value === null || value === '') {
+                migrated[field] = schema.default;
+            } else if (schema.type === 'integer' && typeof value === 'string' && /^\d+$/.test(value.trim())) {
+                migrated[field] = parseInt(value, 10);
+            }
+        });
+        return migrated;
+    },
+
+    /**
+     * Check key settings against the action's schema
+     *
+     * Integers may be given as strings, as Property Inspector inputs hold them;
+     * the returned settings have them converted. Fields the schema does not
+     * describe are kept as they are.
+     * @param {string} uuid - Action UUID
+     * @param {Object} settings - Settings to check
+     * @returns {Object} { valid, errors: { field: message }, settings }
+     */
+    validateSettings: function(uuid, settings) {
+        const definition = this.get(uuid);
+        const checked = { ...(settings || {}) };
+        const errors = {};
+        if (definition) {
+            Object.keys(definition.settings).forEach(field => {
+                const result = this.validateField(definition.settings[field], checked[field]);
+                if (result.error) {
+                    errors[field] = result.error;
+                } else {
+                    checked[field] = result.value;
+                }
+            });
+        }
+        return { valid: Object.keys(errors).length === 0, errors: errors, settings: checked };
+    },
+
+    /**
+     * Check one value against its field schema
+     * @param {Object} schema - Field schema
+     * @param {*} value - Value to check; missing values take the default
+     * @returns {Object} { value } or { error }
+     */
+    validateField: function(schema, value) {
+        if (value === undefined || value === null) {
+            return { value: schema.default };
+        }
+
+        if (schema.type === 'integer') {
+            const text = String(value).trim();
+            if (!/^-?\d+$/.test(text)) {
+                return { error: 'Enter a whole number' };
+            }
+            const number = parseInt(text, 10);
+            const unit = schema.unit ? ` ${schema.unit}` : '';
+            if (schema.min !== undefined && number < schema.min) {
+                return { error: `Must be at least ${schema.min}${unit}` };
+            }
+            if (schema.max !== undefined && number > schema.max) {
+                return { error: `Must be at most ${schema.max}${unit}` };
+            }
+            return { value: number };
+        }
+
+        const text = String(value);
+        if (schema.options && !schema.options.some(option => option.value === text)) {
+            return { error: `Pick one of ${schema.options.map(option => option.label).join(', ')}` };
+        }
+        if (schema.maxLength !== undefined && text.length > schema.maxLength) {
+            return { error: `Must be at most ${schema.maxLength} characters` };
+        }
+        return { value: text };
+    },
+
+    /**
+     * Build the manifest.json entry for an action
+     * @param {Object} definition - Action definition
+     * @returns {Object} Manifest action
+     */
+    toManifestAction: function(definition) {
+        const state = (name) => ({
+            Image: `icons/${definition.icon}`,
+            ...(name ? { Name: name } : {}),
+            TitleAlignment: 'middle',
+            FontSize: '12'
+        });
+
+        // Toggle actions have an Off (0) and On (1) state
+        const states = definition.toggleField ? [state('Off'), state('On')] : [state()];
+
+        return {
+            Icon: `icons/${definition.icon}`,
+            Name: definition.name,
+            States: states,
+            SupportedInMultiActions: false,
+            Tooltip: definition.tooltip,
+            UUID: definition.uuid
+        };
+    }
+};
+
+// Export for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ActionRegistry;
+}
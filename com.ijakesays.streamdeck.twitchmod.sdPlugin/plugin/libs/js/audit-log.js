@@ -0,0 +1,189 @@
+// Audit log for the Twitch Moderator Stream Deck plugin
+
+// Columns of the CSV export, in order
+const AUDIT_CSV_COLUMNS = ['at', 'moderator', 'channel', 'actionName', 'action', 'column', 'row', 'source', 'requests', 'status', 'result', 'error'];
+
+/**
+ * Persistent record of every moderation action the plugin performed
+ *
+ * Entries are stored as JSON Lines in local storage, split over rotating
+ * files: new entries go to file 0, and once it holds maxLines entries every
+ * file moves up one place and the oldest falls off. Where local storage is
+ * unavailable the files are only kept in memory.
+ */
+class AuditLog {
+    /**
+     * @param {Object} options
+     * @param {string} [options.prefix] - Storage key prefix (default "auditLog")
+     * @param {number} [options.maxLines] - Entries per file (default 500)
+     * @param {number} [options.maxFiles] - Files kept, including the current one (default 4)
+     */
+    constructor(options = {}) {
+        this.prefix = options.prefix || 'auditLog';
+        this.maxLines = options.maxLines || 500;
+        this.maxFiles = options.maxFiles || 4;
+        this.storage = AuditLog.localStorage();
+        this.memory = {};
+        this.lines = this.readFile(0).split('\n').filter(Boolean).length;
+    }
+
+    /**
+     * Record an entry
+     * @param {Object} entry - { at, moderator, channel, action, actionName, coordinates, source, settings, requests, status, result, error }
+     * @returns {string} The JSON line written
+     */
+    append(entry) {
+        if (this.lines >= this.maxLines) {
+            this.rotate();
+        }
+
+        const line = JSON.stringify(entry);
+        this.writeFile(0, this.readFile(0) + line + '\n');
+        this.lines++;
+        this.onAppend(entry, line);
+        return line;
+    }
+
+    /**
+     * Start a new current file, dropping the oldest one
+     */
+    rotate() {
+        for (let index = this.maxFiles - 1; index > 0; index--) {
+            this.writeFile(index, this.readFile(index - 1));
+        }
+        this.writeFile(0, '');
+        this.lines = 0;
+    }
+
+    /**
+     * Get every stored entry, oldest first
+     * @returns {Array<Object>} Entries
+     */
+    entries() {
+        const entries = [];
+        for (let index = this.maxFiles - 1; index >= 0; index--) {
+            this.readFile(index).split('\n').filter(Boolean).forEach(line => {
+                try {
+                    entries.push(JSON.parse(line));
+                } catch (e) {
+                    // Skip a line cut short by a full storage quota
+                }
+            });
+        }
+        return entries;
+    }
+
+    /**
+     * Find the entries matching a filter, newest first
+     * @param {Object} filter
+     * @param {string} [filter.text] - Text to look for in the moderator, action, requests and error
+     * @param {string} [filter.action] - Action UUID
+     * @param {string} [filter.result] - "ok", "failed", "rate-limited", "no-scope" or "invalid"
+     * @param {number} [filter.limit] - Most entries to return
+     * @returns {Array<Object>} Entries
+     */
+    search(filter = {}) {
+        const text = (filter.text || '').trim().toLowerCase();
+        const matches = this.entries().reverse().filter(entry => {
+            if (filter.action && entry.action !== filter.action) return false;
+            if (filter.result && entry.result !== filter.result) return false;
+            return !text || AuditLog.searchText(entry).includes(text);
+        });
+        return filter.limit ? matches.slice(0, filter.limit) : matches;
+    }
+
+    /**
+     * Forget every entry
+     */
+    clear() {
+        for (let index = 0; index < this.maxFiles; index++) {
+            this.writeFile(index, '');
+        }
+        this.lines = 0;
+    }
+
+    readFile(index) {
+        const key = `${this.prefix}.${index}`;
+        return (this.storage ? this.storage.getItem(key) : this.memory[key]) || '';
+    }
+
+    writeFile(index, text) {
+        const key = `${this.prefix}.${index}`;
+        if (!this.storage) {
+            this.memory[key] = text;
+            return;
+        }
+        try {
+            this.storage.setItem(key, text);
+        } catch (error) {
+            Utils.log('error', 'Failed to store audit log', error.message);
+        }
+    }
+
+    /**
+     * Local storage if the page may use it
+     * @returns {Storage|null}
+     */
+    static localStorage() {
+        try {
+            if (typeof(Storage) !== "undefined") {
+                return localStorage;
+            }
+        } catch (e) {
+            // Pages without an origin are refused local storage
+        }
+        return null;
+    }
+
+    /**
+     * Text an entry is searched by
+     */
+    static searchText(entry) {
+        return [entry.moderator, entry.actionName, entry.action, entry.source, entry.result, entry.error, AuditLog.formatRequests(entry)]
+            .filter(Boolean)
+            .join(' ')
+            .toLowerCase();
+    }
+
+    /**
+     * Summarize an entry's Helix requests, e.g. "PUT /moderation/shield_mode 200"
+     */
+    static formatRequests(entry) {
+        return (entry.requests || []).map(request => `${request.method} ${request.path} ${request.status}`).join('; ');
+    }
+
+    /**
+     * Export entries as CSV, one row per entry
+     * @param {Array<Object>} entries - Entries to export
+     * @returns {string} CSV with a header row
+     */
+    static toCsv(entries) {
+        const rows = entries.map(entry => {
+            const coordinates = entry.coordinates || {};
+            const values = {
+                ...entry,
+                column: coordinates.column,
+                row: coordinates.row,
+                requests: AuditLog.formatRequests(entry)
+            };
+            return AUDIT_CSV_COLUMNS.map(column => AuditLog.csvField(values[column])).join(',');
+        });
+        return [AUDIT_CSV_COLUMNS.join(',')].concat(rows).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV field if it contains a separator, quote or line break
+     */
+    static csvField(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Event handlers - override these
+    onAppend(entry, line) {}
+}
+
+// Export for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuditLog;
+}
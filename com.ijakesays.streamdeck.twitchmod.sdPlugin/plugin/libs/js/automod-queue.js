@@ -0,0 +1,105 @@
+// AutoMod held-message queue for the Twitch Moderator Stream Deck plugin
+
+/**
+ * Messages AutoMod is holding for review, oldest first
+ *
+ * Filled from automod.message.hold and drained by automod.message.update, so
+ * messages another moderator resolves disappear from the deck as well. One
+ * message is selected at a time for the Allow / Deny selected keys.
+ */
+class AutoModQueue {
+    constructor() {
+        this.messages = [];
+        this.selectedId = null;
+    }
+
+    /**
+     * Add a held message; the first one held becomes the selection
+     * @param {Object} message - { messageId, userId, userLogin, text }
+     */
+    add(message) {
+        if (this.messages.some(existing => existing.messageId === message.messageId)) {
+            return;
+        }
+        this.messages.push({ ...message, heldAt: Date.now() });
+        if (!this.selectedId) {
+            this.selectedId = message.messageId;
+        }
+        this.onChange(this.messages);
+    }
+
+    /**
+     * Remove a message once it has been allowed, denied or has expired
+     *
+     * If it was selected, the message held after it is selected next.
+     */
+    remove(messageId) {
+        const index = this.messages.findIndex(message => message.messageId === messageId);
+        if (index === -1) {
+            return;
+        }
+
+        this.messages.splice(index, 1);
+        if (this.selectedId === messageId) {
+            const next = this.messages[Math.min(index, this.messages.length - 1)];
+            this.selectedId = next ? next.messageId : null;
+        }
+        this.onChange(this.messages);
+    }
+
+    /**
+     * Move the selection to the next held message, wrapping around
+     * @returns {Object|null} Newly selected message
+     */
+    selectNext() {
+        if (this.messages.length === 0) {
+            return null;
+        }
+
+        const index = this.messages.findIndex(message => message.messageId === this.selectedId);
+        const next = this.messages[(index + 1) % this.messages.length];
+        this.selectedId = next.messageId;
+        this.onChange(this.messages);
+        return next;
+    }
+
+    /**
+     * Get the selected message
+     * @returns {Object|null} Selected message
+     */
+    selected() {
+        return this.messages.find(message => message.messageId === this.selectedId) || null;
+    }
+
+    /**
+     * Get the most recently held message
+     * @returns {Object|null} Latest message
+     */
+    latest() {
+        return this.messages[this.messages.length - 1] || null;
+    }
+
+    /**
+     * Number of messages waiting for review
+     */
+    count() {
+        return this.messages.length;
+    }
+
+    /**
+     * Forget every message, e.g. when the channel changes
+     */
+    reset() {
+        this.messages = [];
+        this.selectedId = null;
+        this.onChange(this.messages);
+    }
+
+    // Event handlers - override these
+    onChange(messages) {}
+}
+
+// Export for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AutoModQueue;
+}
@@ -0,0 +1,117 @@
+// Channel profiles for the Twitch Moderator Stream Deck plugin
+//
+// A profile names a channel the moderator looks after, optionally with its own
+// OAuth token. The channel configured under Twitch Configuration is always
+// the "default" profile; extra profiles live in the global settings under
+// channelProfiles, and activeChannelProfile picks the one keys act on unless
+// they are pinned to a profile of their own.
+
+// ID of the profile built from twitchChannel and twitchToken
+const DEFAULT_CHANNEL_PROFILE = 'default';
+
+// Key setting value for "whichever channel is active"
+const ACTIVE_CHANNEL = '';
+
+const ChannelProfiles = {
+    DEFAULT: DEFAULT_CHANNEL_PROFILE,
+    ACTIVE: ACTIVE_CHANNEL,
+
+    /**
+     * Get every profile, the default one first
+     * @param {Object} globalSettings - Plugin global settings
+     * @returns {Array<Object>} { id, name, channel, token }
+     */
+    all: function(globalSettings) {
+        const settings = globalSettings || {};
+        const channel = this.normalizeLogin(settings.twitchChannel);
+        const defaultProfile = { id: DEFAULT_CHANNEL_PROFILE, name: channel || 'Default', channel: channel, token: '' };
+        return [defaultProfile].concat(settings.channelProfiles || []);
+    },
+
+    /**
+     * Look up a profile by ID
+     * @returns {Object|null} Profile
+     */
+    get: function(globalSettings, id) {
+        return this.all(globalSettings).find(profile => profile.id === id) || null;
+    },
+
+    /**
+     * The profile keys following the active channel act on
+     * @returns {Object} Profile; the default one if the active profile was removed
+     */
+    active: function(globalSettings) {
+        return this.get(globalSettings, (globalSettings || {}).activeChannelProfile) || this.all(globalSettings)[0];
+    },
+
+    /**
+     * The profile a key acts on
+     * @param {string} id - The key's channel setting; ACTIVE follows the active profile
+     * @returns {Object|null} Profile, or null if the key's profile was removed
+     */
+    forKey: function(globalSettings, id) {
+        return !id ? this.active(globalSettings) : this.get(globalSettings, id);
+    },
+
+    /**
+     * The profile after the active one, wrapping around
+     * @returns {Object} Profile
+     */
+    next: function(globalSettings) {
+        const profiles = this.all(globalSettings);
+        const index = profiles.findIndex(profile => profile.id === this.active(globalSettings).id);
+        return profiles[(index + 1) % profiles.length];
+    },
+
+    /**
+     * Whether any profile besides the default one exists
+     */
+    hasProfiles: function(globalSettings) {
+        return this.all(globalSettings).length > 1;
+    },
+
+    /**
+     * Create a profile with a fresh ID
+     * @param {Object} fields - { name, channel, token }
+     * @returns {Object} Profile
+     */
+    create: function(fields) {
+        const channel = this.normalizeLogin(fields.channel);
+        return {
+            id: `profile-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+            name: (fields.name || '').trim() || channel,
+            channel: channel,
+            token: (fields.token || '').trim()
+        };
+    },
+
+    /**
+     * The global settings with the active profile's token in twitchToken
+     *
+     * Profiles without a token of their own use the default token.
+     * @returns {Object} Settings for TwitchApiClient.setCredentials
+     */
+    credentials: function(globalSettings) {
+        const token = this.active(globalSettings).token;
+        return token ? { ...globalSettings, twitchToken: token } : globalSettings;
+    },
+
+    /**
+     * Channel logins of every profile, without duplicates
+     */
+    logins: function(globalSettings) {
+        return Array.from(new Set(this.all(globalSettings).map(profile => profile.channel).filter(Boolean)));
+    },
+
+    /**
+     * Normalize a channel name the way Twitch logins are written
+     */
+    normalizeLogin: function(login) {
+        return (login || '').trim().replace('@', '').toLowerCase();
+    }
+};
+
+// Export for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChannelProfiles;
+}
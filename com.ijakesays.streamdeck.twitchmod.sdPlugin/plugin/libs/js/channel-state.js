@@ -0,0 +1,108 @@
+// Channel state store for the Twitch Moderator Stream Deck plugin
+
+/**
+ * Tracks the live chat settings and Shield Mode status of the channel
+ *
+ * The store is the single source of truth for toggle keys: it is refreshed from
+ * Helix and notifies its listener whenever a value actually changes.
+ */
+class ChannelStateStore {
+    /**
+     * @param {TwitchApiClient} api - Client used to fetch the channel state
+     */
+    constructor(api) {
+        this.api = api;
+        this.state = {};
+        this.pendingRefresh = null;
+    }
+
+    /**
+     * Get a tracked value
+     * @param {string} field - Chat settings field name, or "shield_mode"
+     * @returns {*} Current value, or undefined if not yet known
+     */
+    get(field) {
+        return this.state[field];
+    }
+
+    /**
+     * Fetch the current chat settings and Shield Mode status
+     *
+     * Concurrent calls share one in-flight refresh.
+     * @returns {Promise<Object>} The updated state
+     */
+    refresh(broadcasterId, moderatorId) {
+        if (!this.pendingRefresh) {
+            this.pendingRefresh = Promise.all([
+                this.api.getChatSettings(broadcasterId, moderatorId),
+                this.api.getShieldModeStatus(broadcasterId, moderatorId)
+            ]).then(([chatSettings, shieldStatus]) => {
+                this.applyChatSettings(chatSettings);
+                this.applyShieldMode(Boolean(shieldStatus && shieldStatus.is_active));
+                return this.state;
+            }).finally(() => {
+                this.pendingRefresh = null;
+            });
+        }
+        return this.pendingRefresh;
+    }
+
+    /**
+     * Merge a Helix chat settings object into the store
+     * @param {Object} chatSettings - Chat settings as returned by Helix
+     */
+    applyChatSettings(chatSettings) {
+        this.update({
+            subscriber_mode: chatSettings.subscriber_mode,
+            follower_mode: chatSettings.follower_mode,
+            follower_mode_duration: chatSettings.follower_mode_duration,
+            emote_mode: chatSettings.emote_mode,
+            slow_mode: chatSettings.slow_mode,
+            slow_mode_wait_time: chatSettings.slow_mode_wait_time,
+            unique_chat_mode: chatSettings.unique_chat_mode,
+            non_moderator_chat_delay: chatSettings.non_moderator_chat_delay,
+            non_moderator_chat_delay_duration: chatSettings.non_moderator_chat_delay_duration
+        });
+    }
+
+    /**
+     * Record the Shield Mode status
+     * @param {boolean} isActive - True if Shield Mode is on
+     */
+    applyShieldMode(isActive) {
+        this.update({ shield_mode: isActive });
+    }
+
+    /**
+     * Merge changes and notify the listener if anything differs
+     * @param {Object} changes - Fields to update
+     */
+    update(changes) {
+        const changed = Object.keys(changes).filter(field => {
+            return changes[field] !== undefined && this.state[field] !== changes[field];
+        });
+        if (changed.length === 0) {
+            return;
+        }
+
+        changed.forEach(field => {
+            this.state[field] = changes[field];
+        });
+        this.onChange(this.state, changed);
+    }
+
+    /**
+     * Forget the tracked state, e.g. when the configured channel changes
+     */
+    reset() {
+        this.state = {};
+    }
+
+    // Event handlers - override these
+    onChange(state, changedFields) {}
+}
+
+// Export for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChannelStateStore;
+}
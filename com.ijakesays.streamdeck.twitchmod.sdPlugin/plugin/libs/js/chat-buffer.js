@@ -0,0 +1,182 @@
+// Rolling chat buffer for the Twitch Moderator Stream Deck plugin
+
+/**
+ * Recent chat messages and the chatters who sent them
+ *
+ * Keeps the channel's latest messages, every chatter seen since the buffer
+ * was last reset, which of them chatted in the channel for the first time,
+ * and how fast messages arrive. Messages come from both TMI and EventSub, so
+ * each message ID is only kept once.
+ */
+class ChatBuffer {
+    /**
+     * @param {Object} options
+     * @param {number} [options.limit] - Number of messages to keep (default 200)
+     * @param {number} [options.chatterLimit] - Number of chatters to keep (default 1000)
+     * @param {number} [options.rateWindow] - Milliseconds message rates are measured over (default 60000)
+     */
+    constructor(options = {}) {
+        this.limit = options.limit || 200;
+        this.chatterLimit = options.chatterLimit || 1000;
+        this.rateWindow = options.rateWindow || 60000;
+        this.messages = [];
+        this.chatterMap = new Map();
+        this.arrivals = [];
+    }
+
+    /**
+     * Record a chat message
+     *
+     * A message already in the buffer is not added again, but a first-time
+     * flag that only one source carried is still picked up.
+     * @param {Object} message - { id, userId, login, displayName, text, firstMessage, sentAt }
+     * @returns {boolean} True if the message was new
+     */
+    add(message) {
+        const existing = message.id ? this.find(message.id) : null;
+        if (existing) {
+            if (message.firstMessage && !existing.firstMessage) {
+                existing.firstMessage = true;
+                const chatter = this.chatterMap.get(existing.userId);
+                if (chatter) {
+                    chatter.firstTimeChatter = true;
+                }
+            }
+            return false;
+        }
+
+        const now = Date.now();
+        const entry = { ...message, firstMessage: Boolean(message.firstMessage), receivedAt: now };
+        this.messages.push(entry);
+        if (this.messages.length > this.limit) {
+            this.messages.shift();
+        }
+        this.arrivals.push(now);
+        this.pruneArrivals(now);
+
+        // Map order is kept by last message, so the first key is the chatter to drop
+        const chatter = this.chatterMap.get(message.userId);
+        this.chatterMap.delete(message.userId);
+        this.chatterMap.set(message.userId, {
+            userId: message.userId,
+            login: message.login,
+            displayName: message.displayName || message.login,
+            firstSeenAt: chatter ? chatter.firstSeenAt : now,
+            lastSeenAt: now,
+            messageCount: (chatter ? chatter.messageCount : 0) + 1,
+            firstTimeChatter: Boolean((chatter && chatter.firstTimeChatter) || message.firstMessage)
+        });
+        if (this.chatterMap.size > this.chatterLimit) {
+            this.chatterMap.delete(this.chatterMap.keys().next().value);
+        }
+        return true;
+    }
+
+    /**
+     * Drop a deleted message
+     * @returns {boolean} True if the message was in the buffer
+     */
+    remove(messageId) {
+        const count = this.messages.length;
+        this.messages = this.messages.filter(message => message.id !== messageId);
+        return this.messages.length < count;
+    }
+
+    /**
+     * Drop a chatter's messages after a timeout or ban; without a user, every message
+     * @param {string|null} userId - User ID, or null when the whole chat was cleared
+     * @returns {number} Number of messages dropped
+     */
+    removeUser(userId) {
+        const count = this.messages.length;
+        this.messages = userId ? this.messages.filter(message => message.userId !== userId) : [];
+        return count - this.messages.length;
+    }
+
+    /**
+     * Get the latest messages, newest first
+     * @param {number} [count] - Most messages to return
+     * @returns {Array<Object>} Messages
+     */
+    recent(count) {
+        const messages = this.messages.slice().reverse();
+        return count ? messages.slice(0, count) : messages;
+    }
+
+    /**
+     * Get a chatter's messages still in the buffer, newest first
+     * @returns {Array<Object>} Messages
+     */
+    messagesFrom(userId) {
+        return this.recent().filter(message => message.userId === userId);
+    }
+
+    /**
+     * Look up a message by ID
+     * @returns {Object|null} Message
+     */
+    find(messageId) {
+        return this.messages.find(message => message.id === messageId) || null;
+    }
+
+    /**
+     * Look up a chatter by user ID
+     * @returns {Object|null} { userId, login, displayName, firstSeenAt, lastSeenAt, messageCount, firstTimeChatter }
+     */
+    chatter(userId) {
+        return this.chatterMap.get(userId) || null;
+    }
+
+    /**
+     * Get every chatter seen, most recently active first
+     * @returns {Array<Object>} Chatters
+     */
+    chatters() {
+        return Array.from(this.chatterMap.values()).reverse();
+    }
+
+    /**
+     * Get the chatters Twitch flagged as chatting in the channel for the first time
+     * @returns {Array<Object>} Chatters, most recently active first
+     */
+    firstTimeChatters() {
+        return this.chatters().filter(chatter => chatter.firstTimeChatter);
+    }
+
+    /**
+     * Messages per minute over the rate window, for the whole chat or one chatter
+     * @param {string} [userId] - Only count this chatter's messages
+     * @returns {number} Messages per minute
+     */
+    rate(userId) {
+        const now = Date.now();
+        let count;
+        if (userId) {
+            count = this.messages.filter(message => message.userId === userId && message.receivedAt > now - this.rateWindow).length;
+        } else {
+            this.pruneArrivals(now);
+            count = this.arrivals.length;
+        }
+        return count * 60000 / this.rateWindow;
+    }
+
+    pruneArrivals(now) {
+        while (this.arrivals.length > 0 && this.arrivals[0] <= now - this.rateWindow) {
+            this.arrivals.shift();
+        }
+    }
+
+    /**
+     * Forget every message and chatter, e.g. when the channel changes
+     */
+    reset() {
+        this.messages = [];
+        this.chatterMap = new Map();
+        this.arrivals = [];
+    }
+}
+
+// Export for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatBuffer;
+}
@@ -0,0 +1,255 @@
+// Twitch chat (TMI) client for the Twitch Moderator Stream Deck plugin
+
+const TMI_WEBSOCKET_URL = 'wss://irc-ws.chat.twitch.tv:443';
+
+// Nick Twitch accepts for reading chat without a token
+const TMI_ANONYMOUS_LOGIN = 'justinfan12345';
+
+// Values escaped in IRCv3 message tags
+const TMI_TAG_ESCAPES = { 's': ' ', ':': ';', '\\': '\\', 'r': '\r', 'n': '\n' };
+
+/**
+ * Read-only Twitch chat connection: IRC over a WebSocket
+ *
+ * Joins one channel, logging in with the moderator's token when given one and
+ * anonymously otherwise, and reports its messages with their IRCv3 tags.
+ * Reconnects with backoff when the connection drops or Twitch asks it to.
+ */
+class ChatClient {
+    /**
+     * @param {Object} options
+     * @param {string} [options.url] - TMI WebSocket endpoint
+     * @param {number} [options.maxReconnectDelay] - Upper bound for reconnect backoff in milliseconds
+     */
+    constructor(options = {}) {
+        this.url = options.url || TMI_WEBSOCKET_URL;
+        this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+        this.identity = null;
+        this.websocket = null;
+        this.joined = false;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.running = false;
+    }
+
+    /**
+     * Connect and join a channel
+     * @param {Object} identity
+     * @param {string} identity.channel - Channel login to join
+     * @param {string} [identity.login] - Login the token belongs to
+     * @param {string} [identity.token] - OAuth token with chat:read; anonymous without one
+     */
+    start(identity) {
+        this.stop();
+        this.identity = identity;
+        this.running = true;
+        this.websocket = this.openSocket();
+    }
+
+    /**
+     * Close the connection and cancel any reconnect
+     */
+    stop() {
+        this.running = false;
+        this.joined = false;
+        clearTimeout(this.reconnectTimer);
+        if (this.websocket) {
+            const websocket = this.websocket;
+            this.websocket = null;
+            websocket.close();
+        }
+    }
+
+    /**
+     * Check whether the channel has been joined
+     * @returns {boolean} True if connected
+     */
+    isConnected() {
+        return this.joined;
+    }
+
+    /**
+     * Open a WebSocket and log in once it is open
+     * @returns {WebSocket} The new socket
+     */
+    openSocket() {
+        const websocket = new WebSocket(this.url);
+        const { channel, login, token } = this.identity;
+
+        websocket.onopen = () => {
+            this.send(websocket, 'CAP REQ :twitch.tv/tags twitch.tv/commands');
+            if (token) {
+                this.send(websocket, `PASS oauth:${token}`);
+            }
+            this.send(websocket, `NICK ${token ? login : TMI_ANONYMOUS_LOGIN}`);
+            this.send(websocket, `JOIN #${channel}`);
+        };
+
+        // One frame may carry several lines
+        websocket.onmessage = (evt) => {
+            String(evt.data).split('\r\n').filter(Boolean).forEach(line => this.handleLine(websocket, line));
+        };
+
+        websocket.onerror = (evt) => {
+            Utils.log('error', 'Chat WebSocket error', evt.message);
+        };
+
+        websocket.onclose = () => {
+            // Sockets closed by stop() or replaced by a reconnect are expected to close
+            if (websocket !== this.websocket || !this.running) {
+                return;
+            }
+            this.joined = false;
+            this.onDisconnected();
+            this.scheduleReconnect();
+        };
+
+        return websocket;
+    }
+
+    send(websocket, line) {
+        if (websocket.readyState === WebSocket.OPEN) {
+            websocket.send(`${line}\r\n`);
+        }
+    }
+
+    /**
+     * Handle one IRC line from the server
+     */
+    handleLine(websocket, line) {
+        const message = ChatClient.parse(line);
+        switch (message.command) {
+            case 'PING':
+                this.send(websocket, `PONG :${message.params[0] || 'tmi.twitch.tv'}`);
+                break;
+            case 'JOIN':
+                this.joined = true;
+                this.reconnectAttempts = 0;
+                this.onJoined(message.params[0].replace('#', ''));
+                break;
+            case 'PRIVMSG':
+                this.onMessage(ChatClient.toMessage(message));
+                break;
+            case 'CLEARMSG':
+                // A single message was deleted
+                this.onMessageDeleted(message.tags['target-msg-id']);
+                break;
+            case 'CLEARCHAT':
+                // A chatter was timed out or banned, or without a target the whole chat was cleared
+                this.onUserCleared(message.tags['target-user-id'] || null);
+                break;
+            case 'RECONNECT':
+                // Twitch is about to restart the server; reconnect right away
+                this.reconnectAttempts = 0;
+                this.websocket = null;
+                websocket.close();
+                this.scheduleReconnect(0);
+                break;
+            case 'NOTICE':
+                if (/authentication failed|improperly formatted auth/i.test(message.params[1] || '')) {
+                    Utils.log('warn', 'Twitch chat refused the token', message.params[1]);
+                    this.stop();
+                    this.onAuthFailed();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Reconnect from scratch with exponential backoff
+     * @param {number} [delay] - Milliseconds to wait instead of the backoff
+     */
+    scheduleReconnect(delay) {
+        clearTimeout(this.reconnectTimer);
+        const wait = delay !== undefined ? delay : Math.min(1000 * Math.pow(2, this.reconnectAttempts), this.maxReconnectDelay);
+        this.reconnectAttempts++;
+        this.reconnectTimer = setTimeout(() => {
+            if (this.running) {
+                this.websocket = this.openSocket();
+            }
+        }, wait);
+    }
+
+    /**
+     * Split an IRC line into its IRCv3 tags, prefix, command and parameters
+     * @param {string} line - Line without its CRLF
+     * @returns {Object} { tags, prefix, command, params }; the trailing parameter is last
+     */
+    static parse(line) {
+        const message = { tags: {}, prefix: null, command: null, params: [] };
+        let rest = line;
+
+        if (rest.startsWith('@')) {
+            const end = rest.indexOf(' ');
+            rest.substring(1, end).split(';').forEach(pair => {
+                const index = pair.indexOf('=');
+                const key = index === -1 ? pair : pair.substring(0, index);
+                message.tags[key] = index === -1 ? '' : ChatClient.unescapeTag(pair.substring(index + 1));
+            });
+            rest = rest.substring(end + 1);
+        }
+
+        if (rest.startsWith(':')) {
+            const end = rest.indexOf(' ');
+            message.prefix = rest.substring(1, end);
+            rest = rest.substring(end + 1);
+        }
+
+        const trailing = rest.indexOf(' :');
+        const words = (trailing === -1 ? rest : rest.substring(0, trailing)).split(' ').filter(Boolean);
+        message.command = words.shift() || null;
+        message.params = words;
+        if (trailing !== -1) {
+            message.params.push(rest.substring(trailing + 2));
+        }
+        return message;
+    }
+
+    /**
+     * Undo the escaping of an IRCv3 tag value
+     */
+    static unescapeTag(value) {
+        return value.replace(/\\(.?)/g, (match, escaped) => TMI_TAG_ESCAPES[escaped] !== undefined ? TMI_TAG_ESCAPES[escaped] : escaped);
+    }
+
+    /**
+     * Build a chat message from a parsed PRIVMSG
+     * @returns {Object} { id, userId, login, displayName, text, isAction, firstMessage, sentAt }
+     */
+    static toMessage(message) {
+        const tags = message.tags;
+        const login = (message.prefix || '').split('!')[0];
+
+        // /me messages arrive wrapped in a CTCP ACTION
+        const text = message.params[1] || '';
+        const action = /^\u0001ACTION (.*)\u0001$/.exec(text);
+
+        return {
+            id: tags.id,
+            userId: tags['user-id'],
+            login: login,
+            displayName: tags['display-name'] || login,
+            text: action ? action[1] : text,
+            isAction: Boolean(action),
+            firstMessage: tags['first-msg'] === '1',
+            sentAt: parseInt(tags['tmi-sent-ts'], 10) || Date.now()
+        };
+    }
+
+    // Event handlers - override these
+    onJoined(channel) {}
+    onDisconnected() {}
+    onMessage(message) {}
+    onMessageDeleted(messageId) {}
+    onUserCleared(userId) {}
+    onAuthFailed() {}
+}
+
+// Export for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ChatClient,
+        TMI_WEBSOCKET_URL,
+        TMI_ANONYMOUS_LOGIN
+    };
+}
@@ -0,0 +1,113 @@
+// Chat settings presets for the Twitch Moderator Stream Deck plugin
+//
+// A preset is a full chat settings snapshot. Presets live in the global
+// settings under chatPresets so every Chat Preset key, and both the plugin and
+// the Property Inspector, share the same set.
+
+// Each mode with the duration Helix stores alongside it, if any
+const PRESET_MODES = [
+    { mode: 'subscriber_mode', label: 'Subscribers only' },
+    { mode: 'follower_mode', label: 'Followers only', duration: 'follower_mode_duration', min: 0, max: 129600, unit: 'minutes', default: 10 },
+    { mode: 'emote_mode', label: 'Emotes only' },
+    { mode: 'slow_mode', label: 'Slow mode', duration: 'slow_mode_wait_time', min: 3, max: 120, unit: 'seconds', default: 30 },
+    { mode: 'unique_chat_mode', label: 'Unique chat' },
+    { mode: 'non_moderator_chat_delay', label: 'Non-mod chat delay', duration: 'non_moderator_chat_delay_duration', options: [2, 4, 6], unit: 'seconds', default: 2 }
+];
+
+// Presets offered until the user saves their own
+const DEFAULT_CHAT_PRESETS = {
+    Normal: {
+        subscriber_mode: false,
+        follower_mode: false,
+        emote_mode: false,
+        slow_mode: false,
+        unique_chat_mode: false,
+        non_moderator_chat_delay: false
+    },
+    Lockdown: {
+        subscriber_mode: true,
+        follower_mode: false,
+        emote_mode: true,
+        slow_mode: true,
+        slow_mode_wait_time: 30,
+        unique_chat_mode: true,
+        non_moderator_chat_delay: true,
+        non_moderator_chat_delay_duration: 6
+    },
+    Giveaway: {
+        subscriber_mode: false,
+        follower_mode: true,
+        follower_mode_duration: 10,
+        emote_mode: false,
+        slow_mode: true,
+        slow_mode_wait_time: 5,
+        unique_chat_mode: true,
+        non_moderator_chat_delay: false
+    }
+};
+
+const ChatPresets = {
+    MODES: PRESET_MODES,
+    DEFAULTS: DEFAULT_CHAT_PRESETS,
+
+    /**
+     * Get every preset
+     * @param {Object} globalSettings - Plugin global settings
+     * @returns {Object} Presets by name
+     */
+    all: function(globalSettings) {
+        return (globalSettings && globalSettings.chatPresets) || DEFAULT_CHAT_PRESETS;
+    },
+
+    /**
+     * Look up a preset by name
+     * @returns {Object|null} Preset snapshot
+     */
+    get: function(globalSettings, name) {
+        return this.all(globalSettings)[name] || null;
+    },
+
+    /**
+     * Build the single PATCH body that applies a preset
+     *
+     * Durations are only sent for modes the preset turns on.
+     * @param {Object} preset - Preset snapshot
+     * @returns {Object} Chat settings changes
+     */
+    toChanges: function(preset) {
+        const changes = {};
+        PRESET_MODES.forEach(({ mode, duration }) => {
+            changes[mode] = Boolean(preset[mode]);
+            if (duration && changes[mode] && preset[duration] !== undefined && preset[duration] !== null) {
+                changes[duration] = preset[duration];
+            }
+        });
+        return changes;
+    },
+
+    /**
+     * Check whether the channel's chat settings match a preset
+     * @param {Object} preset - Preset snapshot
+     * @param {Function} get - Reads a chat settings field, e.g. from the channel state store
+     * @returns {boolean|null} Match, or null while the chat settings are unknown
+     */
+    matches: function(preset, get) {
+        if (PRESET_MODES.some(({ mode }) => get(mode) === undefined)) {
+            return null;
+        }
+
+        return PRESET_MODES.every(({ mode, duration }) => {
+            const enabled = Boolean(get(mode));
+            if (enabled !== Boolean(preset[mode])) {
+                return false;
+            }
+            // Durations only matter while their mode is on
+            return !duration || !enabled || preset[duration] === undefined || get(duration) === preset[duration];
+        });
+    }
+};
+
+// Export for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatPresets;
+}
@@ -0,0 +1,224 @@
+// EventSub WebSocket session manager for the Twitch Moderator Stream Deck plugin
+
+const EVENTSUB_WEBSOCKET_URL = 'wss://eventsub.wss.twitch.tv/ws';
+
+const EventSubMessageTypes = Object.freeze({
+    WELCOME: 'session_welcome',
+    KEEPALIVE: 'session_keepalive',
+    NOTIFICATION: 'notification',
+    RECONNECT: 'session_reconnect',
+    REVOCATION: 'revocation'
+});
+
+/**
+ * EventSub WebSocket session
+ *
+ * Owns a single WebSocket connection, creates the requested subscriptions once
+ * the welcome message arrives, and follows reconnect messages and keepalive
+ * timeouts so subscriptions stay live for the lifetime of the plugin.
+ */
+class EventSubSession {
+    /**
+     * @param {TwitchApiClient} api - Client used to create subscriptions
+     * @param {Object} options
+     * @param {string} [options.url] - EventSub WebSocket endpoint
+     * @param {number} [options.maxReconnectDelay] - Upper bound for reconnect backoff in milliseconds
+     */
+    constructor(api, options = {}) {
+        this.api = api;
+        this.url = options.url || EVENTSUB_WEBSOCKET_URL;
+        this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+        this.subscriptions = [];
+        this.websocket = null;
+        this.sessionId = null;
+        this.keepaliveTimer = null;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.seenMessageIds = new Set();
+        this.running = false;
+    }
+
+    /**
+     * Open the session and subscribe to the given events
+     * @param {Array<Object>} subscriptions - Items of {type, version, condition}
+     */
+    start(subscriptions) {
+        this.stop();
+        this.subscriptions = subscriptions;
+        this.running = true;
+        this.websocket = this.openSocket(this.url, false);
+    }
+
+    /**
+     * Close the session and cancel all timers
+     */
+    stop() {
+        this.running = false;
+        this.sessionId = null;
+        clearTimeout(this.keepaliveTimer);
+        clearTimeout(this.reconnectTimer);
+        if (this.websocket) {
+            const websocket = this.websocket;
+            this.websocket = null;
+            websocket.close();
+        }
+    }
+
+    /**
+     * Check whether a welcomed session is currently open
+     * @returns {boolean} True if connected
+     */
+    isConnected() {
+        return this.sessionId !== null;
+    }
+
+    /**
+     * Open a WebSocket to the given URL
+     * @param {string} url - Endpoint to connect to
+     * @param {boolean} isReconnect - True when following a session_reconnect message
+     * @returns {WebSocket} The new socket
+     */
+    openSocket(url, isReconnect) {
+        const websocket = new WebSocket(url);
+
+        websocket.onmessage = (evt) => {
+            this.handleMessage(websocket, JSON.parse(evt.data), isReconnect);
+        };
+
+        websocket.onerror = (evt) => {
+            Utils.log('error', 'EventSub WebSocket error', evt.message);
+        };
+
+        websocket.onclose = () => {
+            // Sockets replaced by a reconnect or closed by stop() are expected to close
+            if (websocket !== this.websocket || !this.running) {
+                return;
+            }
+            this.sessionId = null;
+            this.onDisconnected();
+            this.scheduleReconnect();
+        };
+
+        return websocket;
+    }
+
+    /**
+     * Handle a message received on one of the session's sockets
+     */
+    handleMessage(websocket, message, isReconnect) {
+        const metadata = message.metadata || {};
+        const payload = message.payload || {};
+
+        // Twitch may resend a message; handle each message ID once
+        if (this.seenMessageIds.has(metadata.message_id)) {
+            return;
+        }
+        this.seenMessageIds.add(metadata.message_id);
+        if (this.seenMessageIds.size > 500) {
+            this.seenMessageIds.delete(this.seenMessageIds.values().next().value);
+        }
+
+        switch (metadata.message_type) {
+            case EventSubMessageTypes.WELCOME:
+                this.handleWelcome(websocket, payload.session, isReconnect);
+                break;
+            case EventSubMessageTypes.KEEPALIVE:
+                this.resetKeepalive();
+                break;
+            case EventSubMessageTypes.NOTIFICATION:
+                this.resetKeepalive();
+                this.onNotification(payload.subscription.type, payload.event);
+                break;
+            case EventSubMessageTypes.RECONNECT:
+                this.openSocket(payload.session.reconnect_url, true);
+                break;
+            case EventSubMessageTypes.REVOCATION:
+                Utils.log('warn', `EventSub subscription revoked: ${payload.subscription.type}`, payload.subscription.status);
+                this.onRevocation(payload.subscription.type, payload.subscription.status);
+                break;
+        }
+    }
+
+    /**
+     * Adopt a welcomed socket, subscribing unless it replaces a previous session
+     */
+    async handleWelcome(websocket, session, isReconnect) {
+        const previous = this.websocket;
+        this.websocket = websocket;
+        this.sessionId = session.id;
+        this.keepaliveTimeout = (session.keepalive_timeout_seconds || 10) * 1000;
+        this.reconnectAttempts = 0;
+        this.resetKeepalive();
+
+        // Subscriptions carry over to the reconnect URL, so only the old socket needs closing
+        if (isReconnect) {
+            if (previous && previous !== websocket) {
+                previous.close();
+            }
+            this.onConnected(this.sessionId);
+            return;
+        }
+
+        for (const subscription of this.subscriptions) {
+            try {
+                await this.api.createEventSubSubscription(
+                    subscription.type,
+                    subscription.version,
+                    subscription.condition,
+                    { method: 'websocket', session_id: session.id }
+                );
+            } catch (error) {
+                Utils.log('error', `EventSub subscription ${subscription.type} failed`, error.message);
+            }
+        }
+        this.onConnected(this.sessionId);
+    }
+
+    /**
+     * Restart the keepalive timer; a silent session is treated as dead
+     */
+    resetKeepalive() {
+        clearTimeout(this.keepaliveTimer);
+        this.keepaliveTimer = setTimeout(() => {
+            Utils.log('warn', 'EventSub keepalive timed out, reconnecting');
+            const websocket = this.websocket;
+            this.websocket = null;
+            this.sessionId = null;
+            if (websocket) {
+                websocket.close();
+            }
+            this.onDisconnected();
+            this.scheduleReconnect();
+        }, this.keepaliveTimeout + 2000);
+    }
+
+    /**
+     * Reconnect from scratch with exponential backoff
+     */
+    scheduleReconnect() {
+        clearTimeout(this.keepaliveTimer);
+        clearTimeout(this.reconnectTimer);
+        const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), this.maxReconnectDelay);
+        this.reconnectAttempts++;
+        this.reconnectTimer = setTimeout(() => {
+            if (this.running) {
+                this.websocket = this.openSocket(this.url, false);
+            }
+        }, delay);
+    }
+
+    // Event handlers - override these
+    onConnected(sessionId) {}
+    onDisconnected() {}
+    onNotification(type, event) {}
+    onRevocation(type, status) {}
+}
+
+// Export for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EventSubSession,
+        EventSubMessageTypes,
+        EVENTSUB_WEBSOCKET_URL
+    };
+}
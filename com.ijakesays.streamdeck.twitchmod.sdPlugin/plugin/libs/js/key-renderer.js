@@ -0,0 +1,221 @@
+// Key images for the Twitch Moderator Stream Deck plugin
+
+// Edge length of a key image in pixels, the @2x size of the icons
+const KEY_IMAGE_SIZE = 144;
+
+// Countdown rings move in steps of this fraction of a circle, so a key is not redrawn every second
+const COUNTDOWN_RING_STEPS = 60;
+
+// Largest count a badge shows; higher counts show as "99+"
+const BADGE_MAX = 99;
+
+const KEY_COLORS = {
+    background: '#000000',
+    on: '#00C853',
+    off: '#555555',
+    badge: '#E91916',
+    badgeText: '#FFFFFF',
+    ring: '#FFFFFF',
+    error: '#FF5252'
+};
+
+/**
+ * Draws key images: the action's icon with overlays for its live state
+ *
+ * The overlays are an ON/OFF band along the bottom, a count badge in the top
+ * right corner, a countdown ring around the edge and an error stripe along
+ * the top. A key is only redrawn when its overlays change. Keys without
+ * overlays, or whose icon does not load, keep the image from the manifest,
+ * which follows the key's state. Pages that cannot draw on a canvas draw
+ * nothing, and keys keep their static icons.
+ */
+class KeyRenderer {
+    /**
+     * @param {Object} options
+     * @param {string} [options.iconPath] - Path of the icons folder from the page (default "../icons/")
+     * @param {number} [options.size] - Edge length of key images in pixels (default 144)
+     */
+    constructor(options = {}) {
+        this.iconPath = options.iconPath || '../icons/';
+        this.size = options.size || KEY_IMAGE_SIZE;
+        this.rendered = new Map();
+        this.icons = new Map();
+        this.canvas = null;
+        this.context = null;
+        this.supported = null;
+    }
+
+    /**
+     * Draw a key if its overlays changed since it was last drawn
+     * @param {string} context - Key context
+     * @param {Object} key
+     * @param {string} key.icon - Icon name in the icons folder, e.g. "shield"
+     * @param {boolean|null} [key.on] - Band color; null draws no band
+     * @param {number} [key.badge] - Count shown in the badge; 0 hides it
+     * @param {number|null} [key.countdown] - Fraction of the time left, 0-1; null draws no ring
+     * @param {boolean} [key.error] - Draw the error stripe
+     * @returns {Promise<boolean>} True if the key's image was replaced
+     */
+    async render(context, key) {
+        const overlays = KeyRenderer.normalize(key);
+        const signature = KeyRenderer.hasOverlays(overlays) ? JSON.stringify(overlays) : null;
+        const previous = this.rendered.get(context) || null;
+        if (previous === signature || !this.isSupported()) {
+            return false;
+        }
+
+        if (signature === null) {
+            this.rendered.delete(context);
+            this.onRender(context, null);
+            return true;
+        }
+
+        this.rendered.set(context, signature);
+        const icon = await this.loadIcon(overlays.icon);
+
+        // The key may have changed again while its icon loaded
+        if (this.rendered.get(context) !== signature) {
+            return false;
+        }
+
+        // Overlays without the icon would leave a bare black key
+        if (!icon) {
+            this.rendered.delete(context);
+            if (previous !== null) {
+                this.onRender(context, null);
+            }
+            return previous !== null;
+        }
+        this.onRender(context, this.draw(icon, overlays));
+        return true;
+    }
+
+    /**
+     * Forget what a key shows, so it is drawn again when it reappears
+     */
+    forget(context) {
+        this.rendered.delete(context);
+    }
+
+    /**
+     * Whether the page can draw on a canvas; checked once
+     */
+    isSupported() {
+        if (this.supported === null) {
+            this.canvas = typeof document !== 'undefined' ? document.createElement('canvas') : null;
+            this.context = this.canvas ? this.canvas.getContext('2d') : null;
+            this.supported = Boolean(this.context);
+            if (this.supported) {
+                this.canvas.width = this.size;
+                this.canvas.height = this.size;
+            }
+        }
+        return this.supported;
+    }
+
+    /**
+     * Load an icon once
+     * @param {string} name - Icon name
+     * @returns {Promise<Image|null>} The icon, or null if it could not be loaded
+     */
+    loadIcon(name) {
+        if (!name) {
+            return Promise.resolve(null);
+        }
+        if (!this.icons.has(name)) {
+            this.icons.set(name, new Promise(resolve => {
+                const image = new Image();
+                image.onload = () => resolve(image.naturalWidth > 0 ? image : null);
+                image.onerror = () => resolve(null);
+                image.src = `${this.iconPath}${name}@2x.png`;
+            }));
+        }
+        return this.icons.get(name);
+    }
+
+    /**
+     * Draw the icon and overlays
+     * @param {Image} icon - Base icon
+     * @param {Object} overlays - Normalized overlays
+     * @returns {string} Base64 PNG data URL
+     */
+    draw(icon, overlays) {
+        const ctx = this.context;
+        const size = this.size;
+        const edge = Math.round(size * 0.08);
+
+        ctx.clearRect(0, 0, size, size);
+        ctx.fillStyle = KEY_COLORS.background;
+        ctx.fillRect(0, 0, size, size);
+        ctx.drawImage(icon, 0, 0, size, size);
+
+        if (overlays.on !== null) {
+            ctx.fillStyle = overlays.on ? KEY_COLORS.on : KEY_COLORS.off;
+            ctx.fillRect(0, size - edge, size, edge);
+        }
+
+        if (overlays.error) {
+            ctx.fillStyle = KEY_COLORS.error;
+            ctx.fillRect(0, 0, size, edge);
+        }
+
+        // The ring starts at the top and shrinks clockwise as time runs out
+        if (overlays.countdown !== null) {
+            const width = Math.round(size * 0.05);
+            ctx.strokeStyle = KEY_COLORS.ring;
+            ctx.lineWidth = width;
+            ctx.beginPath();
+            ctx.arc(size / 2, size / 2, size / 2 - width, -Math.PI / 2, -Math.PI / 2 + overlays.countdown * 2 * Math.PI);
+            ctx.stroke();
+        }
+
+        if (overlays.badge > 0) {
+            const radius = Math.round(size * 0.17);
+            const x = size - radius - edge / 2;
+            const y = radius + edge;
+            ctx.fillStyle = KEY_COLORS.badge;
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, 2 * Math.PI);
+            ctx.fill();
+
+            const text = overlays.badge > BADGE_MAX ? `${BADGE_MAX}+` : String(overlays.badge);
+            ctx.fillStyle = KEY_COLORS.badgeText;
+            ctx.font = `bold ${Math.round(radius * (text.length > 2 ? 0.8 : 1.1))}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(text, x, y);
+        }
+
+        return this.canvas.toDataURL('image/png');
+    }
+
+    /**
+     * Fill in missing overlays and round the countdown to a ring step
+     */
+    static normalize(key) {
+        const countdown = key.countdown === undefined || key.countdown === null ? null :
+            Math.round(Math.min(1, Math.max(0, key.countdown)) * COUNTDOWN_RING_STEPS) / COUNTDOWN_RING_STEPS;
+        return {
+            icon: key.icon || null,
+            on: typeof key.on === 'boolean' ? key.on : null,
+            badge: Math.max(0, Math.floor(key.badge || 0)),
+            countdown: countdown,
+            error: Boolean(key.error)
+        };
+    }
+
+    /**
+     * Whether a key shows anything beyond its icon
+     */
+    static hasOverlays(overlays) {
+        return overlays.on !== null || overlays.badge > 0 || overlays.countdown !== null || overlays.error;
+    }
+
+    // Event handlers - override these
+    onRender(context, image) {}
+}
+
+// Export for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeyRenderer;
+}
@@ -0,0 +1,131 @@
+// Auto-off timers for the Twitch Moderator Stream Deck plugin
+
+/**
+ * Counts down timed chat modes and Shield Mode
+ *
+ * One timer runs per mode. Deadlines are absolute timestamps so they can be
+ * persisted in the global settings and restored after a restart; a deadline
+ * that passed while the plugin was not running expires on restore.
+ */
+class ModeTimers {
+    /**
+     * @param {Object} options
+     * @param {number} [options.tickInterval] - Milliseconds between onTick calls (default 1000)
+     */
+    constructor(options = {}) {
+        this.tickInterval = options.tickInterval || 1000;
+        this.timers = {};
+        this.ticker = null;
+    }
+
+    /**
+     * Start or restart the timer for a mode
+     * @param {string} field - Channel state field, e.g. "slow_mode"
+     * @param {number} deadline - Timestamp (ms) at which the mode is turned off
+     * @param {Object} channel - { broadcasterId, moderatorId } the mode was turned on in
+     */
+    start(field, deadline, channel) {
+        this.timers[field] = { deadline: deadline, startedAt: Date.now(), ...channel };
+        this.schedule();
+        this.onChange(this.toSettings());
+    }
+
+    /**
+     * Stop the timer for a mode without turning it off
+     * @returns {boolean} True if a timer was running
+     */
+    cancel(field) {
+        if (!this.timers[field]) {
+            return false;
+        }
+        delete this.timers[field];
+        this.schedule();
+        this.onChange(this.toSettings());
+        return true;
+    }
+
+    /**
+     * Get a running timer
+     * @returns {Object|null} { deadline, startedAt, broadcasterId, moderatorId }
+     */
+    get(field) {
+        return this.timers[field] || null;
+    }
+
+    /**
+     * Seconds left on a mode's timer
+     * @returns {number|null} Remaining seconds, or null if no timer runs
+     */
+    remaining(field) {
+        const timer = this.timers[field];
+        return timer ? Math.max(0, Math.ceil((timer.deadline - Date.now()) / 1000)) : null;
+    }
+
+    /**
+     * Fraction of a mode's timer still to run
+     * @returns {number|null} 1 when just started down to 0, or null if no timer runs
+     *     or it was persisted without a start time
+     */
+    progress(field) {
+        const timer = this.timers[field];
+        if (!timer || !timer.startedAt || timer.deadline <= timer.startedAt) {
+            return null;
+        }
+        return Math.min(1, Math.max(0, (timer.deadline - Date.now()) / (timer.deadline - timer.startedAt)));
+    }
+
+    /**
+     * Restore timers persisted by toSettings
+     * @param {Object} saved - Timers by field
+     */
+    restore(saved) {
+        this.timers = { ...(saved || {}) };
+        this.schedule();
+        this.tick();
+    }
+
+    /**
+     * Timers in the form stored in global settings
+     */
+    toSettings() {
+        return { ...this.timers };
+    }
+
+    /**
+     * Run the ticker only while a timer is running
+     */
+    schedule() {
+        const running = Object.keys(this.timers).length > 0;
+        if (running && !this.ticker) {
+            this.ticker = setInterval(() => this.tick(), this.tickInterval);
+        } else if (!running && this.ticker) {
+            clearInterval(this.ticker);
+            this.ticker = null;
+        }
+    }
+
+    /**
+     * Expire timers whose deadline has passed and report the rest
+     */
+    tick() {
+        const now = Date.now();
+        Object.keys(this.timers).forEach(field => {
+            const timer = this.timers[field];
+            if (timer.deadline <= now) {
+                this.cancel(field);
+                this.onExpire(field, timer);
+            }
+        });
+        this.onTick(this.timers);
+    }
+
+    // Event handlers - override these
+    onChange(timers) {}
+    onTick(timers) {}
+    onExpire(field, timer) {}
+}
+
+// Export for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModeTimers;
+}
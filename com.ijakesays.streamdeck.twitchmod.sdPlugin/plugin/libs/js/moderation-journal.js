@@ -0,0 +1,75 @@
+// Moderation journal for the Twitch Moderator Stream Deck plugin
+
+/**
+ * Remembers the moderation actions the plugin performed, newest first
+ *
+ * Each entry carries what is needed to revert it (previous chat settings, the
+ * banned user, ...). Entries Twitch offers no way to revert, such as AutoMod
+ * decisions, are kept with reversible set to false.
+ */
+class ModerationJournal {
+    /**
+     * @param {Object} options
+     * @param {number} [options.limit] - Number of entries to keep (default 50)
+     */
+    constructor(options = {}) {
+        this.limit = options.limit || 50;
+        this.entries = [];
+    }
+
+    /**
+     * Add an entry
+     * @param {Object} entry - { type, label, reversible, ...data needed to undo it }
+     * @returns {Object} The stored entry
+     */
+    record(entry) {
+        const stored = { reversible: true, ...entry, id: Utils.generateId(), at: Date.now() };
+        this.entries.unshift(stored);
+        if (this.entries.length > this.limit) {
+            this.entries.length = this.limit;
+        }
+        this.onChange(this.entries);
+        return stored;
+    }
+
+    /**
+     * Get the entry Undo would revert next in a channel
+     * @param {string} broadcasterId - Channel the entry was recorded in
+     * @returns {Object|null} Most recent reversible entry
+     */
+    latestReversible(broadcasterId) {
+        return this.entries.find(entry => entry.reversible && entry.broadcasterId === broadcasterId) || null;
+    }
+
+    /**
+     * Drop an entry once it has been undone
+     */
+    remove(entry) {
+        this.entries = this.entries.filter(candidate => candidate.id !== entry.id);
+        this.onChange(this.entries);
+    }
+
+    /**
+     * Get every entry, newest first
+     * @returns {Array<Object>} Entries
+     */
+    list() {
+        return this.entries.slice();
+    }
+
+    /**
+     * Forget every entry, e.g. when the channel changes
+     */
+    reset() {
+        this.entries = [];
+        this.onChange(this.entries);
+    }
+
+    // Event handlers - override these
+    onChange(entries) {}
+}
+
+// Export for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModerationJournal;
+}
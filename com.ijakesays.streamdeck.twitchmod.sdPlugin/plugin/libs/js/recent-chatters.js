@@ -0,0 +1,98 @@
+// Recent chatters list for the Twitch Moderator Stream Deck plugin
+
+/**
+ * Keeps the most recent distinct chatters, newest first
+ *
+ * Fed from chat messages, read over TMI and EventSub; moderation actions pick their
+ * target from here.
+ */
+class RecentChatters {
+    /**
+     * @param {Object} options
+     * @param {number} [options.limit] - Number of chatters to remember (default 25)
+     */
+    constructor(options = {}) {
+        this.limit = options.limit || 25;
+        this.chatters = [];
+    }
+
+    /**
+     * Record a chat message, moving its author to the front
+     * @param {Object} chatter - { userId, login, displayName, text, messageId }
+     */
+    add(chatter) {
+        this.chatters = this.chatters.filter(existing => existing.userId !== chatter.userId);
+        this.chatters.unshift({ ...chatter, seenAt: Date.now() });
+        if (this.chatters.length > this.limit) {
+            this.chatters.length = this.limit;
+        }
+        this.onChange(this.chatters);
+    }
+
+    /**
+     * Get the most recent chatter
+     * @returns {Object|null} Chatter, or null if nobody has chatted yet
+     */
+    latest() {
+        return this.chatters[0] || null;
+    }
+
+    /**
+     * Get every remembered chatter, newest first
+     * @returns {Array<Object>} Chatters
+     */
+    list() {
+        return this.chatters.slice();
+    }
+
+    /**
+     * Look up a remembered chatter by user ID
+     * @returns {Object|null} Chatter
+     */
+    find(userId) {
+        return this.chatters.find(chatter => chatter.userId === userId) || null;
+    }
+
+    /**
+     * Forget a chatter, e.g. after a timeout or ban
+     * @returns {boolean} True if the chatter was remembered
+     */
+    remove(userId) {
+        return this.removeWhere(chatter => chatter.userId === userId);
+    }
+
+    /**
+     * Forget the chatter whose remembered message was deleted
+     * @returns {boolean} True if a chatter was forgotten
+     */
+    removeMessage(messageId) {
+        return Boolean(messageId) && this.removeWhere(chatter => chatter.messageId === messageId);
+    }
+
+    // Drop the chatters matching the predicate, telling listeners if any were dropped
+    removeWhere(predicate) {
+        const count = this.chatters.length;
+        this.chatters = this.chatters.filter(chatter => !predicate(chatter));
+        if (this.chatters.length === count) {
+            return false;
+        }
+        this.onChange(this.chatters);
+        return true;
+    }
+
+    /**
+     * Forget every chatter, e.g. when the channel changes
+     */
+    reset() {
+        this.chatters = [];
+        this.onChange(this.chatters);
+    }
+
+    // Event handlers - override these
+    onChange(chatters) {}
+}
+
+// Export for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecentChatters;
+}
@@ -0,0 +1,231 @@
+// Channel points redemption queue for the Twitch Moderator Stream Deck plugin
+
+// Helix fulfills or cancels at most 50 redemptions per request
+const REDEMPTION_BATCH_SIZE = 50;
+
+/**
+ * Tracks the broadcaster's manageable custom rewards and their unfulfilled redemptions
+ *
+ * The queue is loaded from Helix once, following the pagination cursor, and
+ * then kept live from the redemption and reward EventSub notifications.
+ * Pending redemptions are kept oldest first.
+ */
+class RedemptionQueue {
+    /**
+     * @param {TwitchApiClient} api - Client used to fetch and update rewards
+     */
+    constructor(api) {
+        this.api = api;
+        this.rewards = [];
+        this.pending = {};
+        this.loaded = false;
+        this.pendingRefresh = null;
+    }
+
+    /**
+     * Load the rewards and every unfulfilled redemption
+     *
+     * Concurrent calls share one in-flight refresh.
+     * @returns {Promise<void>}
+     */
+    refresh(broadcasterId) {
+        if (!this.pendingRefresh) {
+            this.pendingRefresh = this.load(broadcasterId).finally(() => {
+                this.pendingRefresh = null;
+            });
+        }
+        return this.pendingRefresh;
+    }
+
+    /**
+     * Fetch the rewards, then each reward's redemptions page by page
+     */
+    async load(broadcasterId) {
+        const rewards = await this.api.getCustomRewards(broadcasterId);
+        const pending = {};
+        for (const reward of rewards) {
+            const redemptions = await this.api.getAllRedemptions(broadcasterId, reward.id);
+            pending[reward.id] = new Map(redemptions.map(redemption => [redemption.id, RedemptionQueue.toRedemption(redemption)]));
+        }
+
+        this.rewards = rewards.map(reward => RedemptionQueue.toReward(reward));
+        this.pending = pending;
+        this.loaded = true;
+        this.onChange();
+    }
+
+    /**
+     * Get the manageable rewards
+     * @returns {Array<Object>} { id, title, is_enabled, is_paused }
+     */
+    list() {
+        return this.rewards.slice();
+    }
+
+    /**
+     * Look up a reward by ID
+     * @returns {Object|null} Reward
+     */
+    getReward(rewardId) {
+        return this.rewards.find(reward => reward.id === rewardId) || null;
+    }
+
+    /**
+     * Narrow a key's reward selection to known rewards
+     * @param {Array<string>} rewardIds - Selected reward IDs; empty selects every reward
+     * @returns {Array<string>} Reward IDs
+     */
+    resolveRewardIds(rewardIds) {
+        const known = this.rewards.map(reward => reward.id);
+        return rewardIds && rewardIds.length > 0 ? known.filter(id => rewardIds.includes(id)) : known;
+    }
+
+    /**
+     * Count the unfulfilled redemptions of some rewards
+     * @param {Array<string>} rewardIds - Reward IDs; empty counts every reward
+     */
+    count(rewardIds) {
+        return this.resolveRewardIds(rewardIds).reduce((total, id) => total + this.pending[id].size, 0);
+    }
+
+    /**
+     * Find the oldest unfulfilled redemption of some rewards
+     * @param {Array<string>} rewardIds - Reward IDs; empty searches every reward
+     * @returns {Object|null} { id, rewardId, userLogin, redeemedAt }
+     */
+    oldest(rewardIds) {
+        return this.resolveRewardIds(rewardIds).reduce((oldest, id) => {
+            const first = this.pending[id].values().next().value;
+            return first && (!oldest || first.redeemedAt < oldest.redeemedAt) ? first : oldest;
+        }, null);
+    }
+
+    /**
+     * Track a redemption reported by EventSub
+     * @param {Object} redemption - Redemption as sent by Helix or EventSub
+     */
+    add(redemption) {
+        const queue = this.pending[redemption.reward.id];
+        if (!queue || redemption.status !== 'UNFULFILLED' || queue.has(redemption.id)) {
+            return;
+        }
+        queue.set(redemption.id, RedemptionQueue.toRedemption(redemption));
+        this.onChange();
+    }
+
+    /**
+     * Stop tracking redemptions that were fulfilled or canceled
+     */
+    remove(rewardId, redemptionIds) {
+        const queue = this.pending[rewardId];
+        if (!queue) {
+            return;
+        }
+        const removed = redemptionIds.filter(id => queue.delete(id));
+        if (removed.length > 0) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Merge a reward update from Helix or EventSub
+     * @param {Object} reward - Reward with id, title, is_enabled and is_paused
+     */
+    applyReward(reward) {
+        const index = this.rewards.findIndex(known => known.id === reward.id);
+        if (index === -1) {
+            return;
+        }
+        this.rewards[index] = RedemptionQueue.toReward(reward);
+        this.onChange();
+    }
+
+    /**
+     * Fulfill or cancel one redemption
+     * @param {Object} redemption - Tracked redemption
+     * @param {string} status - "FULFILLED" or "CANCELED"
+     * @param {TwitchApiClient} [api] - Client to send the requests with, e.g. one recording them; defaults to the queue's own
+     */
+    async resolve(broadcasterId, redemption, status, api = this.api) {
+        await api.updateRedemptionStatus(broadcasterId, redemption.rewardId, [redemption.id], status);
+        this.remove(redemption.rewardId, [redemption.id]);
+    }
+
+    /**
+     * Fulfill or cancel every unfulfilled redemption of some rewards
+     *
+     * The redemptions are fetched again rather than taken from the tracked
+     * queue so that ones the plugin missed are included too.
+     * @param {Array<string>} rewardIds - Reward IDs; empty selects every reward
+     * @param {string} status - "FULFILLED" or "CANCELED"
+     * @param {TwitchApiClient} [api] - Client to send the requests with; defaults to the queue's own
+     * @returns {Promise<number>} Number of redemptions updated
+     */
+    async resolveAll(broadcasterId, rewardIds, status, api = this.api) {
+        let resolved = 0;
+        for (const rewardId of this.resolveRewardIds(rewardIds)) {
+            const redemptions = await api.getAllRedemptions(broadcasterId, rewardId);
+            const ids = redemptions.map(redemption => redemption.id);
+            for (let start = 0; start < ids.length; start += REDEMPTION_BATCH_SIZE) {
+                const batch = ids.slice(start, start + REDEMPTION_BATCH_SIZE);
+                await api.updateRedemptionStatus(broadcasterId, rewardId, batch, status);
+                this.remove(rewardId, batch);
+                resolved += batch.length;
+            }
+        }
+        return resolved;
+    }
+
+    /**
+     * Change a reward, e.g. pause or disable it
+     * @param {Object} changes - is_paused and/or is_enabled
+     * @param {TwitchApiClient} [api] - Client to send the requests with; defaults to the queue's own
+     * @returns {Promise<Object>} Updated reward
+     */
+    async updateReward(broadcasterId, rewardId, changes, api = this.api) {
+        const updated = await api.updateCustomReward(broadcasterId, rewardId, changes);
+        this.applyReward(updated);
+        return updated;
+    }
+
+    /**
+     * Forget rewards and redemptions, e.g. when the configured channel changes
+     */
+    reset() {
+        this.rewards = [];
+        this.pending = {};
+        this.loaded = false;
+    }
+
+    /**
+     * Keep only the reward fields the keys and Property Inspector use
+     */
+    static toReward(reward) {
+        return {
+            id: reward.id,
+            title: reward.title,
+            is_enabled: reward.is_enabled,
+            is_paused: reward.is_paused
+        };
+    }
+
+    /**
+     * Normalize a redemption; Helix and EventSub use the same field names
+     */
+    static toRedemption(redemption) {
+        return {
+            id: redemption.id,
+            rewardId: redemption.reward.id,
+            userLogin: redemption.user_login,
+            redeemedAt: redemption.redeemed_at
+        };
+    }
+
+    // Event handlers - override these
+    onChange() {}
+}
+
+// Export for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RedemptionQueue;
+}
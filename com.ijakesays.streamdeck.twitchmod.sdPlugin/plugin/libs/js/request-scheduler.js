@@ -0,0 +1,119 @@
+// Helix request scheduler for the Twitch Moderator Stream Deck plugin
+
+/**
+ * Error thrown when the Helix rate-limit bucket is empty
+ */
+class RateLimitError extends Error {
+    /**
+     * @param {number} resetAt - Timestamp (ms) at which the bucket refills
+     */
+    constructor(resetAt) {
+        super(`Twitch rate limit reached, resets in ${Math.max(0, Math.ceil((resetAt - Date.now()) / 1000))}s`);
+        this.name = 'RateLimitError';
+        this.status = 429;
+        this.resetAt = resetAt;
+    }
+}
+
+/**
+ * Runs every Helix request against Twitch's rate-limit bucket
+ *
+ * The bucket is tracked from the Ratelimit-* response headers. While it is
+ * empty, requests wait for the reset if it is near and fail with a
+ * RateLimitError otherwise. Idempotent requests are retried on 429 and 5xx
+ * responses with jittered backoff; other requests are never retried, since
+ * Twitch may already have applied them.
+ */
+class RequestScheduler {
+    /**
+     * @param {Object} options
+     * @param {number} [options.maxAttempts] - Attempts per idempotent request (default 3)
+     * @param {number} [options.retryDelay] - Base retry delay in milliseconds (default 500)
+     * @param {number} [options.maxWait] - Longest wait for an empty bucket to refill (default 2000)
+     */
+    constructor(options = {}) {
+        this.maxAttempts = options.maxAttempts || 3;
+        this.retryDelay = options.retryDelay || 500;
+        this.maxWait = options.maxWait || 2000;
+        this.rateLimit = null;
+    }
+
+    /**
+     * Run a request
+     * @param {Function} send - Performs the request once and returns a promise
+     * @param {Object} options
+     * @param {boolean} [options.idempotent] - True if the request may safely be repeated
+     * @returns {Promise<*>} Result of send
+     */
+    async run(send, options = {}) {
+        const attempt = async () => {
+            await this.acquire();
+            return send();
+        };
+        const shouldRetry = (error) => options.idempotent && this.isRetryable(error);
+
+        try {
+            return await Utils.retryWithBackoff(attempt, this.maxAttempts, this.retryDelay, shouldRetry);
+        } catch (error) {
+            throw this.isBucketEmpty(error) ? new RateLimitError(this.rateLimit.resetAt) : error;
+        }
+    }
+
+    /**
+     * Take a request from the bucket, waiting for a near reset if it is empty
+     */
+    async acquire() {
+        const limit = this.rateLimit;
+        if (!limit || Date.now() >= limit.resetAt) {
+            return;
+        }
+        if (limit.remaining > 0) {
+            // Count requests in flight until their response reports the real figure
+            limit.remaining--;
+            return;
+        }
+
+        const wait = limit.resetAt - Date.now();
+        if (wait > this.maxWait) {
+            throw new RateLimitError(limit.resetAt);
+        }
+        await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    /**
+     * Remember the rate-limit bucket reported by a response
+     * @param {Headers} headers - Response headers
+     */
+    recordRateLimit(headers) {
+        const limit = headers.get('Ratelimit-Limit');
+        const remaining = headers.get('Ratelimit-Remaining');
+        if (limit === null || remaining === null) {
+            return;
+        }
+        this.rateLimit = {
+            limit: parseInt(limit, 10),
+            remaining: parseInt(remaining, 10),
+            resetAt: parseInt(headers.get('Ratelimit-Reset'), 10) * 1000
+        };
+    }
+
+    /**
+     * Whether a failed request may succeed if repeated
+     */
+    isRetryable(error) {
+        return error instanceof TwitchApiError && (error.status === 429 || error.status >= 500);
+    }
+
+    /**
+     * Whether a 429 came from the rate-limit bucket rather than, e.g., a shoutout cooldown
+     */
+    isBucketEmpty(error) {
+        return error instanceof TwitchApiError && error.status === 429 &&
+            this.rateLimit !== null && this.rateLimit.remaining === 0;
+    }
+}
+
+// Export for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RequestScheduler, RateLimitError };
+}
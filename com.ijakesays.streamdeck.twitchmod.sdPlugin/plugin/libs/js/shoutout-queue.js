@@ -0,0 +1,233 @@
+// Shoutout queue for the Twitch Moderator Stream Deck plugin
+
+// Helix allows one shoutout every 2 minutes, and one per target every 60 minutes
+const SHOUTOUT_GLOBAL_COOLDOWN = 2 * 60 * 1000;
+const SHOUTOUT_TARGET_COOLDOWN = 60 * 60 * 1000;
+
+// Chat message sent when Twitch refuses a shoutout; {user} and {login} are filled in.
+// Helix posts chat messages as typed, so commands such as /me do not work here.
+const DEFAULT_SHOUTOUT_FALLBACK = 'Go check out {user} at https://twitch.tv/{login} !';
+
+// Default stored by earlier builds, which Helix posted with a literal "/me"
+const LEGACY_SHOUTOUT_FALLBACK = '/me Go check out {user} at https://twitch.tv/{login} !';
+
+/**
+ * Broadcasters waiting for a shoutout, with the cooldowns Twitch enforces
+ *
+ * The queue is serializable so it can be kept in the global settings and
+ * survive a restart. Each channel has a queue of its own.
+ */
+class ShoutoutQueue {
+    /**
+     * @param {Object} options
+     * @param {string} [options.broadcasterId] - Channel the shoutouts are sent in
+     * @param {number} [options.tickInterval] - Milliseconds between onTick calls (default 1000)
+     */
+    constructor(options = {}) {
+        this.tickInterval = options.tickInterval || 1000;
+        this.broadcasterId = options.broadcasterId || null;
+        this.entries = [];
+        this.lastSentAt = null;
+        this.sentTo = {};
+        this.lastSent = null;
+        this.ticker = null;
+    }
+
+    /**
+     * Queue a broadcaster unless they are already waiting
+     * @param {Object} entry - { userId, login, displayName, source } where source is "raid" or "manual"
+     * @returns {boolean} True if the broadcaster was added
+     */
+    add(entry) {
+        if (this.entries.some(queued => queued.userId === entry.userId)) {
+            return false;
+        }
+        this.entries.push({ ...entry, addedAt: Date.now() });
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Drop a broadcaster from the queue
+     * @returns {boolean} True if they were queued
+     */
+    remove(userId) {
+        const count = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.userId !== userId);
+        if (this.entries.length === count) {
+            return false;
+        }
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Queued broadcasters, oldest first
+     */
+    list() {
+        return this.entries.slice();
+    }
+
+    count() {
+        return this.entries.length;
+    }
+
+    /**
+     * Timestamp (ms) at which a broadcaster can be shouted out
+     */
+    readyAt(entry) {
+        const globalReady = this.lastSentAt ? this.lastSentAt + SHOUTOUT_GLOBAL_COOLDOWN : 0;
+        const targetReady = this.sentTo[entry.userId] ? this.sentTo[entry.userId] + SHOUTOUT_TARGET_COOLDOWN : 0;
+        return Math.max(globalReady, targetReady);
+    }
+
+    /**
+     * The broadcaster whose cooldown clears first, oldest first on ties
+     * @returns {Object|null} Queue entry
+     */
+    next() {
+        return this.entries.reduce((next, entry) => {
+            return !next || this.readyAt(entry) < this.readyAt(next) ? entry : next;
+        }, null);
+    }
+
+    /**
+     * Seconds until the next shoutout can be sent
+     * @returns {number|null} Remaining seconds, or null if the queue is empty
+     */
+    remaining() {
+        const next = this.next();
+        return next ? Math.max(0, Math.ceil((this.readyAt(next) - Date.now()) / 1000)) : null;
+    }
+
+    /**
+     * Record a shoutout Twitch accepted and start its cooldowns
+     * @param {Object} entry - Queue entry
+     */
+    recordShoutout(entry) {
+        const now = Date.now();
+        this.lastSentAt = now;
+        this.sentTo[entry.userId] = now;
+        this.finish(entry, false);
+    }
+
+    /**
+     * Record a shoutout Twitch refused as on cooldown, e.g. because another moderator
+     * shouted out first, and keep the entry queued until the cooldowns clear
+     *
+     * Twitch does not say which cooldown applies, so both restart.
+     * @param {Object} entry - Queue entry
+     */
+    recordCooldown(entry) {
+        const now = Date.now();
+        this.lastSentAt = now;
+        this.sentTo[entry.userId] = now;
+        this.changed();
+    }
+
+    /**
+     * Record a chat message sent instead of a refused shoutout
+     * @param {Object} entry - Queue entry
+     */
+    recordFallback(entry) {
+        this.finish(entry, true);
+    }
+
+    /**
+     * Take an entry off the queue and remember it as the last one handled
+     */
+    finish(entry, fallback) {
+        this.entries = this.entries.filter(queued => queued.userId !== entry.userId);
+        this.lastSent = { login: entry.login, fallback: fallback };
+
+        // Per-target cooldowns older than an hour no longer matter
+        const expired = Date.now() - SHOUTOUT_TARGET_COOLDOWN;
+        Object.keys(this.sentTo).forEach(userId => {
+            if (this.sentTo[userId] <= expired) {
+                delete this.sentTo[userId];
+            }
+        });
+        this.changed();
+    }
+
+    /**
+     * Restore a queue persisted by toSettings
+     * @param {Object} saved - Stored queue
+     */
+    restore(saved) {
+        const state = saved || {};
+        this.broadcasterId = state.broadcasterId || this.broadcasterId;
+        this.entries = state.entries || [];
+        this.lastSentAt = state.lastSentAt || null;
+        this.sentTo = state.sentTo || {};
+        this.lastSent = state.lastSent || null;
+        this.schedule();
+        this.tick();
+    }
+
+    /**
+     * The queue in the form stored in global settings
+     */
+    toSettings() {
+        return {
+            broadcasterId: this.broadcasterId,
+            entries: this.entries,
+            lastSentAt: this.lastSentAt,
+            sentTo: this.sentTo,
+            lastSent: this.lastSent
+        };
+    }
+
+    /**
+     * Reschedule and report the queue after it changed
+     */
+    changed() {
+        this.schedule();
+        this.onChange(this.toSettings());
+    }
+
+    /**
+     * Run the ticker only while broadcasters are waiting
+     */
+    schedule() {
+        const waiting = this.entries.length > 0;
+        if (waiting && !this.ticker) {
+            this.ticker = setInterval(() => this.tick(), this.tickInterval);
+        } else if (!waiting && this.ticker) {
+            clearInterval(this.ticker);
+            this.ticker = null;
+        }
+    }
+
+    /**
+     * Report the countdown and hand out the next shoutout once its cooldown clears
+     */
+    tick() {
+        const next = this.next();
+        if (next && this.readyAt(next) <= Date.now()) {
+            this.onReady(next);
+        }
+        this.onTick();
+    }
+
+    /**
+     * Read the fallback chat message from the global settings
+     * @param {Object} settings - Global settings
+     * @returns {string} Message template; empty when the fallback is turned off
+     */
+    static fallbackMessage(settings) {
+        const message = settings.shoutoutFallback;
+        return message === undefined || message === LEGACY_SHOUTOUT_FALLBACK ? DEFAULT_SHOUTOUT_FALLBACK : message;
+    }
+
+    // Event handlers - override these
+    onChange(queue) {}
+    onTick() {}
+    onReady(entry) {}
+}
+
+
+// Export for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShoutoutQueue;
+}
@@ -254,10 +254,8 @@ class StreamDeckPlugin {
     }
 
     setImage(context, image, target = DestinationEnum.HARDWARE_AND_SOFTWARE, state = null) {
-        const payload = {
-            image: image,
-            target: target
-        };
+        // Without an image Stream Deck shows the one from the manifest again
+        const payload = image ? { image: image, target: target } : { target: target };
         if (state !== null) {
             payload.state = state;
         }
@@ -0,0 +1,102 @@
+// OAuth token inspector for the Twitch Moderator Stream Deck plugin
+
+const TOKEN_VALIDATION_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Validates the access token on startup and hourly, as Twitch requires, and
+ * records who it belongs to and which scopes it grants.
+ */
+class TokenInspector {
+    /**
+     * @param {TwitchApiClient} api - Client used to call /oauth2/validate
+     * @param {Object} options
+     * @param {number} [options.interval] - Milliseconds between validations
+     */
+    constructor(api, options = {}) {
+        this.api = api;
+        this.interval = options.interval || TOKEN_VALIDATION_INTERVAL;
+        this.info = null;
+        this.timer = null;
+    }
+
+    /**
+     * Validate now and then on every interval
+     * @returns {Promise<Object|null>} Result of the first validation
+     */
+    start() {
+        this.stop();
+        this.timer = setInterval(() => this.validate(), this.interval);
+        return this.validate();
+    }
+
+    /**
+     * Stop periodic validation and forget the last result
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.info = null;
+    }
+
+    /**
+     * Validate the token and record the result
+     * @returns {Promise<Object|null>} Token info, or null if no token is configured
+     */
+    async validate() {
+        if (!this.api.hasToken()) {
+            this.info = null;
+            return null;
+        }
+
+        try {
+            const validation = await this.api.validateToken();
+            this.info = {
+                valid: true,
+                clientId: validation.client_id,
+                login: validation.login,
+                userId: validation.user_id,
+                scopes: validation.scopes || [],
+                expiresIn: validation.expires_in,
+                validatedAt: Date.now()
+            };
+        } catch (error) {
+            // Network failures say nothing about the token, only a 401 does
+            if (error.status !== 401) {
+                Utils.log('warn', 'Token validation failed', error.message);
+                return this.info;
+            }
+            this.info = { valid: false, scopes: [], validatedAt: Date.now() };
+        }
+
+        this.onValidated(this.info);
+        return this.info;
+    }
+
+    /**
+     * Check whether the last validation found the token to be invalid
+     * @returns {boolean} True if Twitch rejected the token
+     */
+    isInvalid() {
+        return Boolean(this.info && !this.info.valid);
+    }
+
+    /**
+     * Compare required scopes against the granted ones
+     * @param {Array<string>} requiredScopes - Scopes an action needs
+     * @returns {Array<string>} Missing scopes; empty until the token has been validated
+     */
+    getMissingScopes(requiredScopes) {
+        if (!this.info || !this.info.valid) {
+            return [];
+        }
+        return requiredScopes.filter(scope => !this.info.scopes.includes(scope));
+    }
+
+    // Event handlers - override these
+    onValidated(info) {}
+}
+
+// Export for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TokenInspector;
+}
@@ -0,0 +1,405 @@
+// Twitch Helix API client for the Twitch Moderator Stream Deck plugin
+
+const TWITCH_HELIX_BASE_URL = 'https://api.twitch.tv/helix';
+const TWITCH_AUTH_BASE_URL = 'https://id.twitch.tv/oauth2';
+
+/**
+ * Error raised for non-2xx Helix responses
+ */
+class TwitchApiError extends Error {
+    constructor(method, path, status, message) {
+        super(`Helix ${method} ${path} failed (${status}): ${message}`);
+        this.name = 'TwitchApiError';
+        this.method = method;
+        this.path = path;
+        this.status = status;
+    }
+}
+
+/**
+ * Twitch Helix API client
+ */
+class TwitchApiClient {
+    /**
+     * @param {Object} options
+     * @param {string} [options.baseUrl] - Helix base URL
+     * @param {string} [options.authBaseUrl] - OAuth2 base URL used for token validation
+     * @param {Object} [options.settings] - Global settings holding the credentials
+     * @param {RequestScheduler} [options.scheduler] - Scheduler every Helix request goes through
+     */
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || TWITCH_HELIX_BASE_URL;
+        this.authBaseUrl = options.authBaseUrl || TWITCH_AUTH_BASE_URL;
+        this.clientId = null;
+        this.scheduler = options.scheduler || new RequestScheduler();
+        this.setCredentials(options.settings || {});
+    }
+
+    /**
+     * Update credentials from the plugin's global settings
+     * @param {Object} settings - Global settings (twitchToken, twitchClientId)
+     */
+    setCredentials(settings) {
+        const token = (settings.twitchToken || '').trim();
+        const nextToken = token.startsWith('oauth:') ? token.substring(6) : token;
+
+        // A client ID resolved from an older token is no longer valid
+        if (nextToken !== this.accessToken) {
+            this.clientId = null;
+        }
+        this.accessToken = nextToken;
+        this.clientId = settings.twitchClientId || this.clientId;
+    }
+
+    /**
+     * Check that a token has been configured
+     * @returns {boolean} True if a token is available
+     */
+    hasToken() {
+        return Boolean(this.accessToken);
+    }
+
+    /**
+     * Validate the access token
+     * @returns {Promise<Object>} Validation response (client_id, login, user_id, scopes, expires_in)
+     */
+    async validateToken() {
+        const response = await fetch(`${this.authBaseUrl}/validate`, {
+            headers: { 'Authorization': `OAuth ${this.accessToken}` }
+        });
+        if (!response.ok) {
+            throw new TwitchApiError('GET', '/validate', response.status, 'Token validation failed');
+        }
+        return response.json();
+    }
+
+    /**
+     * Resolve the client ID, falling back to the one the token was issued for
+     * @returns {Promise<string>} Client ID
+     */
+    async getClientId() {
+        if (!this.clientId) {
+            const validation = await this.validateToken();
+            this.clientId = validation.client_id;
+        }
+        return this.clientId;
+    }
+
+    /**
+     * Build the headers required by every Helix request
+     * @returns {Promise<Object>} Request headers
+     */
+    async getAuthHeaders() {
+        return {
+            'Authorization': `Bearer ${this.accessToken}`,
+            'Client-Id': await this.getClientId()
+        };
+    }
+
+    /**
+     * Perform a Helix API request
+     * @param {string} method - HTTP method
+     * @param {string} path - Endpoint path (e.g. "/chat/settings")
+     * @param {Object} params - Query parameters; array values are repeated
+     * @param {Object} body - Optional JSON body
+     * @returns {Promise<Object|null>} Parsed response, or null for 204 responses
+     */
+    request(method, path, params = {}, body = null) {
+        // Only methods HTTP defines as idempotent are safe to repeat after a failure
+        const idempotent = ['GET', 'PUT', 'DELETE'].includes(method);
+        return this.scheduler.run(() => this.send(method, path, params, body), { idempotent: idempotent });
+    }
+
+    /**
+     * Send one Helix request
+     */
+    async send(method, path, params, body) {
+        const url = new URL(this.baseUrl + path);
+        Object.keys(params).forEach(key => {
+            if (params[key] === undefined || params[key] === null) {
+                return;
+            }
+            [].concat(params[key]).forEach(value => url.searchParams.append(key, value));
+        });
+
+        const headers = await this.getAuthHeaders();
+        if (body) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const response = await fetch(url.toString(), {
+            method: method,
+            headers: headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        this.scheduler.recordRateLimit(response.headers);
+        this.onResponse(method, path, response.status);
+
+        if (!response.ok) {
+            let message = response.statusText;
+            try {
+                message = (await response.json()).message || message;
+            } catch (e) {
+                // Body was not JSON
+            }
+            throw new TwitchApiError(method, path, response.status, message);
+        }
+
+        return response.status === 204 ? null : response.json();
+    }
+
+    /**
+     * The rate-limit bucket reported by the last response
+     * @returns {Object|null} { limit, remaining, resetAt }
+     */
+    get rateLimit() {
+        return this.scheduler.rateLimit;
+    }
+
+    /**
+     * Get the channel's chat settings
+     * @returns {Promise<Object>} Chat settings
+     */
+    async getChatSettings(broadcasterId, moderatorId) {
+        const response = await this.request('GET', '/chat/settings', {
+            broadcaster_id: broadcasterId,
+            moderator_id: moderatorId
+        });
+        return response.data[0];
+    }
+
+    /**
+     * Update one or more chat settings
+     * @param {Object} changes - Fields to patch (subscriber_mode, slow_mode_wait_time, ...)
+     * @returns {Promise<Object>} Updated chat settings
+     */
+    async updateChatSettings(broadcasterId, moderatorId, changes) {
+        const response = await this.request('PATCH', '/chat/settings', {
+            broadcaster_id: broadcasterId,
+            moderator_id: moderatorId
+        }, changes);
+        return response.data[0];
+    }
+
+    /**
+     * Get the channel's Shield Mode status
+     * @returns {Promise<Object>} Shield Mode status
+     */
+    async getShieldModeStatus(broadcasterId, moderatorId) {
+        const response = await this.request('GET', '/moderation/shield_mode', {
+            broadcaster_id: broadcasterId,
+            moderator_id: moderatorId
+        });
+        return response.data[0];
+    }
+
+    /**
+     * Activate or deactivate Shield Mode
+     * @returns {Promise<Object>} Updated Shield Mode status
+     */
+    async updateShieldModeStatus(broadcasterId, moderatorId, isActive) {
+        const response = await this.request('PUT', '/moderation/shield_mode', {
+            broadcaster_id: broadcasterId,
+            moderator_id: moderatorId
+        }, { is_active: isActive });
+        return response.data[0];
+    }
+
+    /**
+     * Allow or deny a message held by AutoMod
+     * @param {string} action - "ALLOW" or "DENY"
+     */
+    async manageHeldAutoModMessage(moderatorId, messageId, action) {
+        await this.request('POST', '/moderation/automod/message', {}, {
+            user_id: moderatorId,
+            msg_id: messageId,
+            action: action
+        });
+    }
+
+    /**
+     * Ban a user, or time them out when a duration is given
+     * @param {number|null} duration - Timeout in seconds (1-1209600); null bans permanently
+     * @param {string} reason - Reason shown to other moderators
+     * @returns {Promise<Object>} Ban record (user_id, end_time, ...)
+     */
+    async banUser(broadcasterId, moderatorId, userId, duration, reason) {
+        const data = { user_id: userId, reason: reason || '' };
+        if (duration) {
+            data.duration = duration;
+        }
+        const response = await this.request('POST', '/moderation/bans', {
+            broadcaster_id: broadcasterId,
+            moderator_id: moderatorId
+        }, { data: data });
+        return response.data[0];
+    }
+
+    /**
+     * Lift a ban or timeout
+     */
+    async unbanUser(broadcasterId, moderatorId, userId) {
+        await this.request('DELETE', '/moderation/bans', {
+            broadcaster_id: broadcasterId,
+            moderator_id: moderatorId,
+            user_id: userId
+        });
+    }
+
+    /**
+     * Send a shoutout to another broadcaster
+     */
+    async sendShoutout(fromBroadcasterId, toBroadcasterId, moderatorId) {
+        await this.request('POST', '/chat/shoutouts', {
+            from_broadcaster_id: fromBroadcasterId,
+            to_broadcaster_id: toBroadcasterId,
+            moderator_id: moderatorId
+        });
+    }
+
+    /**
+     * Send a chat message as the moderator
+     * @returns {Promise<Object>} { message_id, is_sent, drop_reason }
+     */
+    async sendChatMessage(broadcasterId, senderId, message) {
+        const response = await this.request('POST', '/chat/messages', {}, {
+            broadcaster_id: broadcasterId,
+            sender_id: senderId,
+            message: message
+        });
+        return response.data[0];
+    }
+
+    /**
+     * Get the broadcaster's custom rewards
+     * @param {boolean} onlyManageable - Only rewards created by this client ID
+     * @returns {Promise<Array>} Custom rewards
+     */
+    async getCustomRewards(broadcasterId, onlyManageable = true) {
+        const response = await this.request('GET', '/channel_points/custom_rewards', {
+            broadcaster_id: broadcasterId,
+            only_manageable_rewards: onlyManageable
+        });
+        return response.data;
+    }
+
+    /**
+     * Get one page of a reward's redemptions
+     * @param {Object} options - status, after, first
+     * @returns {Promise<Object>} Response with data and pagination cursor
+     */
+    async getRedemptions(broadcasterId, rewardId, options = {}) {
+        return this.request('GET', '/channel_points/custom_rewards/redemptions', {
+            broadcaster_id: broadcasterId,
+            reward_id: rewardId,
+            status: options.status || 'UNFULFILLED',
+            first: options.first || 50,
+            after: options.after
+        });
+    }
+
+    /**
+     * Get every redemption of a reward with a status, following the pagination cursor
+     * @param {string} status - Redemption status (default "UNFULFILLED")
+     * @returns {Promise<Array>} Redemptions, oldest first
+     */
+    async getAllRedemptions(broadcasterId, rewardId, status = 'UNFULFILLED') {
+        const redemptions = [];
+        let after;
+        do {
+            const page = await this.getRedemptions(broadcasterId, rewardId, { status: status, after: after });
+            redemptions.push(...page.data);
+            after = page.pagination && page.pagination.cursor;
+        } while (after);
+        return redemptions;
+    }
+
+    /**
+     * Update a custom reward, e.g. pause or disable it
+     * @param {Object} changes - Fields to change, such as is_paused or is_enabled
+     * @returns {Promise<Object>} Updated reward
+     */
+    async updateCustomReward(broadcasterId, rewardId, changes) {
+        const response = await this.request('PATCH', '/channel_points/custom_rewards', {
+            broadcaster_id: broadcasterId,
+            id: rewardId
+        }, changes);
+        return response.data[0];
+    }
+
+    /**
+     * Fulfill or cancel up to 50 redemptions of a reward
+     * @param {Array<string>} redemptionIds - Redemption IDs
+     * @param {string} status - "FULFILLED" or "CANCELED"
+     * @returns {Promise<Array>} Updated redemptions
+     */
+    async updateRedemptionStatus(broadcasterId, rewardId, redemptionIds, status) {
+        const response = await this.request('PATCH', '/channel_points/custom_rewards/redemptions', {
+            id: redemptionIds,
+            broadcaster_id: broadcasterId,
+            reward_id: rewardId
+        }, { status: status });
+        return response.data;
+    }
+
+    /**
+     * Create an EventSub subscription
+     * @param {string} type - Subscription type (e.g. "channel.raid")
+     * @param {string} version - Subscription version
+     * @param {Object} condition - Subscription condition
+     * @param {Object} transport - Transport (method and session_id for WebSockets)
+     * @returns {Promise<Object>} Created subscription
+     */
+    async createEventSubSubscription(type, version, condition, transport) {
+        const response = await this.request('POST', '/eventsub/subscriptions', {}, {
+            type: type,
+            version: version,
+            condition: condition,
+            transport: transport
+        });
+        return response.data[0];
+    }
+
+    /**
+     * Look up users by login and/or ID
+     * @param {Object} query - logins and ids arrays
+     * @returns {Promise<Array>} Users
+     */
+    async getUsers(query = {}) {
+        const response = await this.request('GET', '/users', {
+            login: query.logins,
+            id: query.ids
+        });
+        return response.data;
+    }
+
+    /**
+     * Get a view of this client that reports the responses to its own requests
+     *
+     * The view shares the credentials and rate-limit scheduler of this client,
+     * which still reports every response to its own onResponse.
+     * @param {Function} listener - Called with (method, path, status)
+     * @returns {TwitchApiClient} Client view
+     */
+    observe(listener) {
+        const view = Object.create(this);
+        view.onResponse = (method, path, status) => {
+            this.onResponse(method, path, status);
+            listener(method, path, status);
+        };
+        return view;
+    }
+
+    // Event handlers - override these
+    onResponse(method, path, status) {}
+}
+
+// Export for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TwitchApiClient,
+        TwitchApiError,
+        TWITCH_HELIX_BASE_URL,
+        TWITCH_AUTH_BASE_URL
+    };
+}
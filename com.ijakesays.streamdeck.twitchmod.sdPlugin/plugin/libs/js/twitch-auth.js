@@ -0,0 +1,161 @@
+// Twitch OAuth device code flow and token refresh for the Twitch Moderator Stream Deck plugin
+
+const DEVICE_CODE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+/**
+ * Twitch OAuth helper
+ *
+ * Uses the device code grant so the plugin never needs a client secret or a
+ * local redirect listener: the user enters a short code on twitch.tv/activate
+ * while the plugin polls the token endpoint.
+ */
+class TwitchAuth {
+    /**
+     * @param {Object} options
+     * @param {string} [options.authBaseUrl] - OAuth2 base URL
+     * @param {number} [options.refreshMargin] - Refresh this many milliseconds before expiry
+     */
+    constructor(options = {}) {
+        this.authBaseUrl = options.authBaseUrl || TWITCH_AUTH_BASE_URL;
+        this.refreshMargin = options.refreshMargin || 5 * 60 * 1000;
+        this.refreshTimer = null;
+        this.pollCancelled = false;
+    }
+
+    /**
+     * POST a form to the OAuth2 endpoint
+     * @param {string} path - Endpoint path (e.g. "/token")
+     * @param {Object} fields - Form fields
+     * @returns {Promise<Object>} Parsed JSON response
+     */
+    async postForm(path, fields) {
+        const response = await fetch(this.authBaseUrl + path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams(fields).toString()
+        });
+
+        let data = {};
+        try {
+            data = await response.json();
+        } catch (e) {
+            // Body was not JSON
+        }
+        if (!response.ok) {
+            throw new TwitchApiError('POST', path, response.status, data.message || response.statusText);
+        }
+        return data;
+    }
+
+    /**
+     * Start a device code authorization
+     * @param {string} clientId - Public client ID of the Twitch application
+     * @param {Array<string>} scopes - Scopes to request
+     * @returns {Promise<Object>} device_code, user_code, verification_uri, interval, expires_in
+     */
+    startDeviceFlow(clientId, scopes) {
+        this.pollCancelled = false;
+        return this.postForm('/device', {
+            client_id: clientId,
+            scopes: scopes.join(' ')
+        });
+    }
+
+    /**
+     * Poll the token endpoint until the user approves or the code expires
+     * @param {string} clientId - Public client ID of the Twitch application
+     * @param {Array<string>} scopes - Scopes requested in startDeviceFlow
+     * @param {Object} device - Response of startDeviceFlow
+     * @returns {Promise<Object>} Token response
+     */
+    async pollDeviceToken(clientId, scopes, device) {
+        const deadline = Date.now() + device.expires_in * 1000;
+        let interval = (device.interval || 5) * 1000;
+
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, interval));
+            if (this.pollCancelled) {
+                throw new Error('Authorization cancelled');
+            }
+
+            try {
+                return await this.postForm('/token', {
+                    client_id: clientId,
+                    scopes: scopes.join(' '),
+                    device_code: device.device_code,
+                    grant_type: DEVICE_CODE_GRANT_TYPE
+                });
+            } catch (error) {
+                if (/authorization_pending/.test(error.message)) {
+                    continue;
+                }
+                if (/slow_down/.test(error.message)) {
+                    interval += 5000;
+                    continue;
+                }
+                throw error;
+            }
+        }
+
+        throw new Error('Authorization code expired');
+    }
+
+    /**
+     * Stop any running device code poll
+     */
+    cancel() {
+        this.pollCancelled = true;
+    }
+
+    /**
+     * Exchange a refresh token for a new access token
+     * @param {string} clientId - Public client ID of the Twitch application
+     * @param {string} refreshToken - Refresh token from a previous grant
+     * @returns {Promise<Object>} Token response
+     */
+    refreshToken(clientId, refreshToken) {
+        return this.postForm('/token', {
+            client_id: clientId,
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken
+        });
+    }
+
+    /**
+     * Schedule a callback shortly before the token expires
+     * @param {number} expiresAt - Expiry timestamp in milliseconds
+     * @param {Function} callback - Called when the token should be refreshed
+     */
+    scheduleRefresh(expiresAt, callback) {
+        clearTimeout(this.refreshTimer);
+        const delay = Math.max(expiresAt - this.refreshMargin - Date.now(), 0);
+        this.refreshTimer = setTimeout(callback, delay);
+    }
+
+    /**
+     * Cancel a scheduled refresh
+     */
+    clearRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    /**
+     * Convert a token response to the global settings that store it
+     * @param {Object} tokens - Token response
+     * @returns {Object} Global settings fields
+     */
+    static toSettings(tokens) {
+        return {
+            twitchToken: tokens.access_token,
+            twitchRefreshToken: tokens.refresh_token,
+            twitchTokenExpiresAt: Date.now() + tokens.expires_in * 1000,
+            twitchTokenScopes: tokens.scope || []
+        };
+    }
+}
+
+// Export for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TwitchAuth;
+}
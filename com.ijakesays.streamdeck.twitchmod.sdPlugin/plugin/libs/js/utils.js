@@ -1,5 +1,11 @@
 // Utility functions for the Twitch Moderator Stream Deck plugin
 
+// Seconds per duration unit letter
+const DURATION_UNITS = { w: 604800, d: 86400, h: 3600, m: 60, s: 1 };
+
+// Seconds per unit of a settings field
+const DURATION_FIELD_UNITS = { seconds: 1, minutes: 60 };
+
 const Utils = {
     /**
      * Debounce function to limit how often a function can fire
@@ -55,6 +61,19 @@ const Utils = {
         }
     },
 
+    /**
+     * Format a countdown as a clock, e.g. "1:12" or "1:02:03"
+     * @param {number} seconds - Time in seconds
+     * @returns {string} Formatted countdown
+     */
+    formatCountdown: function(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = String(seconds % 60).padStart(2, '0');
+        
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+    },
+
     /**
      * Format large numbers with abbreviations
      * @param {number} num - Number to format
@@ -148,48 +167,24 @@ const Utils = {
     },
 
     /**
-     * Create a rate limiter
-     * @param {number} maxRequests - Maximum requests allowed
-     * @param {number} timeWindow - Time window in milliseconds
-     * @returns {Function} Rate limit checker function
-     */
-    createRateLimiter: function(maxRequests, timeWindow) {
-        const requests = [];
-        
-        return function canMakeRequest() {
-            const now = Date.now();
-            const cutoff = now - timeWindow;
-            
-            // Remove old requests outside the time window
-            while (requests.length > 0 && requests[0] < cutoff) {
-                requests.shift();
-            }
-            
-            if (requests.length < maxRequests) {
-                requests.push(now);
-                return true;
-            }
-            
-            return false;
-        };
-    },
-
-    /**
-     * Retry a promise-based function with exponential backoff
+     * Retry a promise-based function with exponential backoff and jitter
      * @param {Function} fn - Async function to retry
-     * @param {number} maxRetries - Maximum number of retries
+     * @param {number} maxAttempts - Maximum number of attempts
      * @param {number} delay - Initial delay in milliseconds
+     * @param {Function} shouldRetry - Decides from the error whether to try again (default: always)
      * @returns {Promise} Result of the function
      */
-    retryWithBackoff: async function(fn, maxRetries = 3, delay = 1000) {
-        for (let i = 0; i < maxRetries; i++) {
+    retryWithBackoff: async function(fn, maxAttempts = 3, delay = 1000, shouldRetry = () => true) {
+        for (let i = 0; ; i++) {
             try {
                 return await fn();
             } catch (error) {
-                if (i === maxRetries - 1) {
+                if (i === maxAttempts - 1 || !shouldRetry(error)) {
                     throw error;
                 }
-                await new Promise(resolve => setTimeout(resolve, delay * Math.pow(2, i)));
+                // Half the backoff is random so that clients failing together spread out
+                const backoff = delay * Math.pow(2, i);
+                await new Promise(resolve => setTimeout(resolve, backoff / 2 + Math.random() * backoff / 2));
             }
         }
     },
@@ -229,29 +224,87 @@ const Utils = {
     },
 
     /**
-     * Parse duration string to seconds
-     * @param {string} duration - Duration string (e.g., "5m", "30s", "1h")
-     * @returns {number} Duration in seconds
+     * Parse a duration to seconds
+     *
+     * Accepts compound values such as "1h30m", "2d" or "90s", largest unit
+     * first, with w, d, h, m and s as units. A bare number is read in bareUnit.
+     * @param {string|number} duration - Duration (e.g., "5m", "1h 30m", "2d")
+     * @param {string} bareUnit - Unit of a bare number, "seconds" or "minutes"
+     * @returns {number|null} Duration in seconds, or null if it cannot be read
      */
-    parseDuration: function(duration) {
-        const match = duration.match(/^(\d+)([smh])$/);
-        if (!match) {
-            return 0;
+    parseDuration: function(duration, bareUnit = 'seconds') {
+        const text = String(duration === undefined || duration === null ? '' : duration).trim().toLowerCase();
+        if (/^\d+$/.test(text)) {
+            return parseInt(text, 10) * (DURATION_FIELD_UNITS[bareUnit] || 1);
+        }
+        if (!/^(\d+\s*[wdhms]\s*)+$/.test(text)) {
+            return null;
         }
         
-        const value = parseInt(match[1]);
-        const unit = match[2];
+        let seconds = 0;
+        let previous = Infinity;
+        for (const [, value, unit] of text.matchAll(/(\d+)\s*([wdhms])/g)) {
+            // Each unit may appear once, largest first
+            if (DURATION_UNITS[unit] >= previous) {
+                return null;
+            }
+            previous = DURATION_UNITS[unit];
+            seconds += parseInt(value, 10) * DURATION_UNITS[unit];
+        }
+        return seconds;
+    },
+
+    /**
+     * Format seconds as a compact duration, e.g. "1h30m" or "2d"
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} Duration that parseDuration reads back
+     */
+    formatDuration: function(seconds) {
+        let rest = Math.max(0, Math.round(seconds));
+        const parts = ['d', 'h', 'm', 's'].map(unit => {
+            const count = Math.floor(rest / DURATION_UNITS[unit]);
+            rest -= count * DURATION_UNITS[unit];
+            return count > 0 ? `${count}${unit}` : '';
+        });
+        return parts.join('') || '0s';
+    },
+
+    /**
+     * Read a duration typed for a settings field
+     *
+     * The duration is converted to the field's unit and clamped to its
+     * bounds; the warning says what was changed so the user can see it.
+     * @param {string} text - Duration as typed; bare numbers are in the field's unit
+     * @param {Object} field - { unit, min, max }, e.g. a settings schema
+     * @returns {Object} { value, warning } or { error }
+     */
+    readDurationField: function(text, field) {
+        const seconds = this.parseDuration(text, field.unit);
+        if (seconds === null) {
+            return { error: 'Enter a duration such as 90s, 5m or 1h30m' };
+        }
         
-        switch (unit) {
-            case 's':
-                return value;
-            case 'm':
-                return value * 60;
-            case 'h':
-                return value * 3600;
-            default:
-                return 0;
+        const size = DURATION_FIELD_UNITS[field.unit] || 1;
+        let value = Math.round(seconds / size);
+        let warning = value * size !== seconds ? `Rounded to ${this.formatDuration(value * size)}` : '';
+        if (field.min !== undefined && value < field.min) {
+            value = field.min;
+            warning = `Raised to the minimum of ${this.formatDuration(value * size)}`;
+        } else if (field.max !== undefined && value > field.max) {
+            value = field.max;
+            warning = `Lowered to the maximum of ${this.formatDuration(value * size)}`;
         }
+        return { value: value, warning: warning };
+    },
+
+    /**
+     * Format a settings field's value as a duration
+     * @param {number} value - Value in the field's unit
+     * @param {Object} field - { unit }
+     * @returns {string} Duration, e.g. "10m"
+     */
+    formatDurationField: function(value, field) {
+        return this.formatDuration(value * (DURATION_FIELD_UNITS[field.unit] || 1));
     },
 
     /**
@@ -265,6 +318,29 @@ const Utils = {
         return div.innerHTML;
     },
 
+    /**
+     * Shorten text to fit on a key, marking the cut with an ellipsis
+     * @param {string} text - Text to shorten
+     * @param {number} length - Maximum length including the ellipsis
+     * @returns {string} Shortened text
+     */
+    truncate: function(text, length) {
+        const value = text || '';
+        return value.length > length ? value.substring(0, length - 1) + '…' : value;
+    },
+
+    /**
+     * Fill {placeholders} in a template
+     * @param {string} template - Template text (e.g., "Timed out {user} for {duration}")
+     * @param {Object} values - Placeholder values; unknown placeholders are left as-is
+     * @returns {string} Filled text
+     */
+    formatTemplate: function(template, values) {
+        return (template || '').replace(/\{(\w+)\}/g, (placeholder, name) => {
+            return values[name] !== undefined && values[name] !== null ? String(values[name]) : placeholder;
+        });
+    },
+
     /**
      * Check if running in Stream Deck environment
      * @returns {boolean} True if in Stream Deck
@@ -0,0 +1,19 @@
+const fs = require('fs');
+const path = require('path');
+
+const ActionRegistry = require('./com.ijakesays.streamdeck.twitchmod.sdPlugin/plugin/libs/js/action-registry.js');
+
+// Plugin identifier
+const PLUGIN_DIR = `${ActionRegistry.PLUGIN_UUID}.sdPlugin`;
+const MANIFEST_PATH = path.join(__dirname, PLUGIN_DIR, 'manifest.json');
+
+// Regenerate the Actions section of manifest.json from the action registry
+function generateManifest() {
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+    manifest.Actions = ActionRegistry.all().map(definition => ActionRegistry.toManifestAction(definition));
+
+    fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`Wrote ${manifest.Actions.length} actions to ${path.relative(__dirname, MANIFEST_PATH)}`);
+}
+
+generateManifest();
@@ -0,0 +1,164 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startHarness, eventually, actionUuid } = require('./harness');
+
+describe('manifest actions', () => {
+    let harness;
+    let deck;
+    let twitch;
+
+    beforeEach(async () => {
+        harness = await startHarness();
+        deck = harness.deck;
+        twitch = harness.twitch;
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    it('resolves the broadcaster and moderator from the channel name and token', () => {
+        assert.strictEqual(deck.globalSettings.twitchBroadcasterId, '100');
+        assert.strictEqual(deck.globalSettings.twitchBroadcasterName, 'Streamer');
+        assert.strictEqual(deck.globalSettings.twitchModeratorId, '200');
+        assert.strictEqual(deck.globalSettings.twitchModeratorName, 'ModName');
+    });
+
+    it('toggles Shield Mode', async () => {
+        deck.willAppear('shield', actionUuid('shieldmode'));
+        await deck.waitForTitle('shield', 'OFF');
+
+        deck.keyDown('shield');
+        await deck.waitForTitle('shield', 'ON');
+        await deck.waitFor(message => message.event === 'showOk' && message.context === 'shield');
+        assert.strictEqual(twitch.shieldMode.is_active, true);
+    });
+
+    it('toggles Subscribers Only and Emotes Only', async () => {
+        deck.willAppear('subs', actionUuid('subsonly'));
+        deck.willAppear('emotes', actionUuid('emotesonly'));
+        await deck.waitForTitle('subs', 'OFF');
+
+        deck.keyDown('subs');
+        await deck.waitForTitle('subs', 'ON');
+        deck.keyDown('emotes');
+        await deck.waitForTitle('emotes', 'ON');
+
+        assert.strictEqual(twitch.chatSettings.subscriber_mode, true);
+        assert.strictEqual(twitch.chatSettings.emote_mode, true);
+    });
+
+    it('enables Followers Only with the configured duration', async () => {
+        deck.willAppear('followers', actionUuid('followersonly'), { followDuration: 30 });
+        deck.keyDown('followers');
+        await deck.waitForTitle('followers', 'ON');
+
+        assert.strictEqual(twitch.chatSettings.follower_mode, true);
+        assert.strictEqual(twitch.chatSettings.follower_mode_duration, 30);
+    });
+
+    it('enables Slow Mode with the configured delay', async () => {
+        deck.willAppear('slow', actionUuid('slowmode'), { slowDelay: 10 });
+        deck.keyDown('slow');
+        await deck.waitForTitle('slow', 'ON');
+
+        assert.strictEqual(twitch.chatSettings.slow_mode, true);
+        assert.strictEqual(twitch.chatSettings.slow_mode_wait_time, 10);
+    });
+
+    it('updates toggle keys when another moderator changes chat settings', async () => {
+        deck.willAppear('subs', actionUuid('subsonly'));
+        await deck.waitForTitle('subs', 'OFF');
+        await twitch.waitForSubscription('channel.chat_settings.update');
+
+        twitch.chatSettings.subscriber_mode = true;
+        twitch.notify('channel.chat_settings.update', { broadcaster_user_id: '100', subscriber_mode: true });
+
+        await deck.waitForTitle('subs', 'ON');
+        await deck.waitFor(message => message.event === 'setState' && message.context === 'subs' && message.payload.state === 1);
+    });
+
+    it('toggles chat modes and polls their state without user:read:chat', async () => {
+        await harness.stop();
+        harness = await startHarness({
+            configure: fake => {
+                fake.token.scopes = fake.token.scopes.filter(scope => scope !== 'user:read:chat');
+            }
+        });
+        deck = harness.deck;
+        twitch = harness.twitch;
+
+        deck.willAppear('subs', actionUuid('subsonly'));
+        await deck.waitForTitle('subs', 'OFF');
+        await twitch.waitForSubscription('channel.raid');
+        assert.ok(!twitch.subscriptions.some(subscription => subscription.type === 'channel.chat_settings.update'));
+        assert.notStrictEqual(harness.plugin.chatSettingsPoll, null);
+
+        deck.keyDown('subs');
+        await deck.waitForTitle('subs', 'ON');
+        assert.strictEqual(twitch.chatSettings.subscriber_mode, true);
+    });
+
+    it('allows the most recent message held by AutoMod', async () => {
+        deck.willAppear('automod', actionUuid('allowautomod'));
+        await twitch.waitForSubscription('automod.message.hold');
+
+        twitch.notify('automod.message.hold', {
+            broadcaster_user_id: '100',
+            user_id: '400',
+            user_login: 'chatter',
+            message_id: 'held-1',
+            message: { text: 'hello there' }
+        });
+        await eventually(() => harness.plugin.activeChannel().autoModQueue.count() === 1);
+
+        deck.keyDown('automod');
+        await deck.waitFor(message => message.event === 'showOk' && message.context === 'automod');
+        assert.deepStrictEqual(twitch.automodActions, [{ user_id: '200', msg_id: 'held-1', action: 'ALLOW' }]);
+    });
+
+    it('shouts out raiders', async () => {
+        deck.willAppear('shoutout', actionUuid('autoshoutout'));
+        await twitch.waitForSubscription('channel.raid');
+
+        twitch.notify('channel.raid', {
+            from_broadcaster_user_id: '300',
+            from_broadcaster_user_login: 'raider',
+            to_broadcaster_user_id: '100',
+            viewers: 42
+        });
+
+        await deck.waitForTitle('shoutout', 'SO: raider');
+        assert.deepStrictEqual(twitch.shoutouts, ['300']);
+    });
+
+    it('shows NO RAID when nobody has raided yet', async () => {
+        deck.willAppear('shoutout', actionUuid('autoshoutout'));
+        deck.keyDown('shoutout');
+        await deck.waitForTitle('shoutout', 'NO RAID');
+        assert.deepStrictEqual(twitch.shoutouts, []);
+    });
+
+    it('cancels every unfulfilled redemption', async () => {
+        twitch.redemptions = [
+            { id: 'redemption-1', reward: { id: 'reward-1' }, status: 'UNFULFILLED' },
+            { id: 'redemption-2', reward: { id: 'reward-1' }, status: 'UNFULFILLED' }
+        ];
+        deck.willAppear('rewards', actionUuid('clearrewards'));
+
+        deck.keyDown('rewards');
+        await deck.waitForTitle('rewards', '2 cleared');
+        assert.deepStrictEqual(twitch.redemptions.map(redemption => redemption.status), ['CANCELED', 'CANCELED']);
+    });
+
+    it('shows an alert when Twitch rejects the request', async () => {
+        deck.willAppear('shield', actionUuid('shieldmode'));
+        // Shield mode updates are retried, so every attempt has to fail
+        twitch.failNext('PUT', '/moderation/shield_mode', 500, 3);
+
+        deck.keyDown('shield');
+        await deck.waitFor(message => message.event === 'showAlert' && message.context === 'shield');
+        assert.strictEqual(twitch.shieldMode.is_active, false);
+    });
+});
@@ -0,0 +1,126 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startHarness, eventually, actionUuid } = require('./harness');
+
+// Copy entries out of the plugin's window so they compare as plain objects
+function auditEntries(harness) {
+    return JSON.parse(JSON.stringify(harness.plugin.auditLog.entries()));
+}
+
+describe('audit log', () => {
+    let harness;
+    let deck;
+    let twitch;
+
+    beforeEach(async () => {
+        harness = await startHarness();
+        deck = harness.deck;
+        twitch = harness.twitch;
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    it('records who pressed which key and what Twitch answered', async () => {
+        deck.willAppear('shield', actionUuid('shieldmode'), {}, { column: 2, row: 1 });
+        await deck.waitForTitle('shield', 'OFF');
+
+        deck.keyDown('shield', { column: 2, row: 1 });
+        await deck.waitForTitle('shield', 'ON');
+
+        const [entry] = auditEntries(harness);
+        assert.strictEqual(entry.moderator, 'modname');
+        assert.strictEqual(entry.channel, 'streamer');
+        assert.strictEqual(entry.action, actionUuid('shieldmode'));
+        assert.strictEqual(entry.actionName, 'Shield Mode');
+        assert.deepStrictEqual(entry.coordinates, { column: 2, row: 1 });
+        assert.strictEqual(entry.source, 'key');
+        assert.deepStrictEqual(entry.requests, [
+            { method: 'GET', path: '/moderation/shield_mode', status: 200 },
+            { method: 'PUT', path: '/moderation/shield_mode', status: 200 }
+        ]);
+        assert.strictEqual(entry.status, 200);
+        assert.strictEqual(entry.result, 'ok');
+
+        // Every entry also goes to the Stream Deck log
+        const logged = await deck.waitFor(message => message.event === 'logMessage' && message.payload.message.startsWith('AUDIT '));
+        assert.deepStrictEqual(JSON.parse(logged.payload.message.substring(6)), entry);
+    });
+
+    it('leaves out requests the plugin makes in the background meanwhile', async () => {
+        deck.willAppear('subs', actionUuid('subsonly'));
+        await deck.waitForTitle('subs', 'OFF');
+
+        deck.keyDown('subs');
+        const lookup = harness.plugin.api.getUsers({ logins: ['raider'] });
+        harness.plugin.refreshChannelState();
+        await deck.waitForTitle('subs', 'ON');
+        await lookup;
+
+        const [entry] = auditEntries(harness);
+        assert.deepStrictEqual(entry.requests, [
+            { method: 'GET', path: '/chat/settings', status: 200 },
+            { method: 'PATCH', path: '/chat/settings', status: 200 }
+        ]);
+    });
+
+    it('records failed actions with the Twitch status', async () => {
+        deck.willAppear('shield', actionUuid('shieldmode'));
+        await deck.waitForTitle('shield', 'OFF');
+        twitch.failNext('PUT', '/moderation/shield_mode', 500, 3);
+
+        deck.keyDown('shield');
+        await deck.waitFor(message => message.event === 'showAlert' && message.context === 'shield');
+
+        const [entry] = auditEntries(harness);
+        assert.strictEqual(entry.result, 'failed');
+        assert.strictEqual(entry.status, 500);
+        assert.strictEqual(entry.requests.filter(request => request.method === 'PUT').length, 3);
+        assert.match(entry.error, /Injected failure/);
+    });
+
+    it('rotates its files and drops the oldest', () => {
+        const log = harness.plugin.auditLog;
+        log.clear();
+        log.maxLines = 2;
+        log.maxFiles = 2;
+
+        [1, 2, 3, 4, 5].forEach(index => log.append({ at: `entry-${index}`, result: 'ok' }));
+
+        assert.deepStrictEqual(auditEntries(harness).map(entry => entry.at), ['entry-3', 'entry-4', 'entry-5']);
+        assert.strictEqual(log.readFile(0), '{"at":"entry-5","result":"ok"}\n');
+    });
+
+    it('filters and exports the log in the Property Inspector', async () => {
+        deck.willAppear('subs', actionUuid('subsonly'));
+        deck.willAppear('shield', actionUuid('shieldmode'));
+        await deck.waitForTitle('shield', 'OFF');
+        twitch.failNext('PATCH', '/chat/settings', 400);
+
+        deck.keyDown('subs');
+        await deck.waitFor(message => message.event === 'showAlert' && message.context === 'subs');
+        deck.keyDown('shield');
+        await deck.waitForTitle('shield', 'ON');
+
+        const window = await deck.openPropertyInspector('shield');
+        const document = window.document;
+        await eventually(() => document.getElementById('auditSummary').textContent === '2 entries');
+        assert.match(document.getElementById('auditEntries').firstChild.textContent, /modname: Shield Mode \[0,0\] ok 200$/);
+
+        const result = document.getElementById('auditResult');
+        result.value = 'failed';
+        result.dispatchEvent(new window.Event('change'));
+        await eventually(() => document.getElementById('auditSummary').textContent === '1 entry');
+        assert.match(document.getElementById('auditEntries').textContent, /Subscribers Only \[0,0\] failed 400/);
+
+        document.getElementById('exportAuditButton').click();
+        await eventually(() => document.getElementById('auditDownload').href.startsWith('data:text/csv'));
+        const csv = decodeURIComponent(document.getElementById('auditDownload').href.split(',').slice(1).join(','));
+        const rows = csv.trim().split('\r\n');
+        assert.strictEqual(rows.length, 2);
+        assert.strictEqual(rows[0], 'at,moderator,channel,actionName,action,column,row,source,requests,status,result,error');
+        assert.match(rows[1], /,modname,streamer,Subscribers Only,.*,0,0,key,[^,]*PATCH \/chat\/settings 400,400,failed,/);
+    });
+});
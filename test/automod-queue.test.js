@@ -0,0 +1,95 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startHarness, eventually, actionUuid } = require('./harness');
+
+function hold(messageId, login, text) {
+    return {
+        broadcaster_user_id: '100',
+        user_id: `user-${login}`,
+        user_login: login,
+        message_id: messageId,
+        message: { text: text }
+    };
+}
+
+describe('automod queue', () => {
+    let harness;
+    let deck;
+    let twitch;
+
+    beforeEach(async () => {
+        harness = await startHarness();
+        deck = harness.deck;
+        twitch = harness.twitch;
+        await twitch.waitForSubscription('automod.message.hold');
+
+        deck.willAppear('next', actionUuid('automodnext'));
+        deck.willAppear('allow', actionUuid('automodallow'));
+        deck.willAppear('deny', actionUuid('automoddeny'));
+        await deck.waitForTitle('next', 'NONE');
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    async function holdMessages() {
+        twitch.notify('automod.message.hold', hold('held-1', 'spambot', 'follow my channel for free stuff'));
+        twitch.notify('automod.message.hold', hold('held-2', 'regular', 'is this allowed'));
+        twitch.notify('automod.message.hold', hold('held-3', 'another', 'spam spam spam'));
+        await deck.waitForTitle('allow', 'ALLOW\n[3]');
+    }
+
+    it('shows the queue count and the selected message on the keys', async () => {
+        await holdMessages();
+
+        await deck.waitForTitle('next', '[3] spambot\nfollow my…');
+        await deck.waitForTitle('deny', 'DENY\n[3]');
+    });
+
+    it('cycles through the held messages', async () => {
+        await holdMessages();
+
+        deck.keyDown('next');
+        await deck.waitForTitle('next', '[3] regular\nis this a…');
+        deck.keyDown('next');
+        await deck.waitForTitle('next', '[3] another\nspam spam…');
+        deck.clear();
+        deck.keyDown('next');
+        await deck.waitForTitle('next', '[3] spambot\nfollow my…');
+    });
+
+    it('allows and denies the selected message', async () => {
+        await holdMessages();
+
+        deck.keyDown('deny');
+        await deck.waitForTitle('next', '[2] regular\nis this a…');
+        deck.keyDown('allow');
+        await deck.waitForTitle('next', '[1] another\nspam spam…');
+
+        assert.deepStrictEqual(twitch.automodActions, [
+            { user_id: '200', msg_id: 'held-1', action: 'DENY' },
+            { user_id: '200', msg_id: 'held-2', action: 'ALLOW' }
+        ]);
+    });
+
+    it('drops messages resolved by another moderator', async () => {
+        await holdMessages();
+
+        twitch.notify('automod.message.update', { ...hold('held-1', 'spambot', ''), status: 'denied' });
+        await deck.waitForTitle('next', '[2] regular\nis this a…');
+        twitch.notify('automod.message.update', { ...hold('held-2', 'regular', ''), status: 'approved' });
+        twitch.notify('automod.message.update', { ...hold('held-3', 'another', ''), status: 'expired' });
+
+        deck.clear();
+        await deck.waitForTitle('allow', 'ALLOW');
+        assert.strictEqual(harness.plugin.activeChannel().autoModQueue.count(), 0);
+    });
+
+    it('shows NONE when there is nothing to decide on', async () => {
+        deck.keyDown('allow');
+        await deck.waitForTitle('allow', 'NONE');
+        assert.deepStrictEqual(twitch.automodActions, []);
+    });
+});
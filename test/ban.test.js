@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startHarness, eventually, actionUuid } = require('./harness');
+
+function chatMessage(userId, login, text) {
+    return {
+        broadcaster_user_id: '100',
+        chatter_user_id: userId,
+        chatter_user_login: login,
+        chatter_user_name: login,
+        message_id: `chat-${userId}-${text}`,
+        message: { text: text }
+    };
+}
+
+describe('timeout / ban', () => {
+    let harness;
+    let deck;
+    let twitch;
+
+    beforeEach(async () => {
+        harness = await startHarness();
+        deck = harness.deck;
+        twitch = harness.twitch;
+        await twitch.waitForSubscription('channel.chat.message');
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    it('times out the most recent chatter with the reason template filled in', async () => {
+        twitch.notify('channel.chat.message', chatMessage('400', 'spammer', 'buy followers'));
+        twitch.notify('channel.chat.message', chatMessage('200', 'modname', 'stop that'));
+        await eventually(() => harness.plugin.recentChatters.list().length === 2);
+
+        deck.willAppear('ban', actionUuid('timeoutban'), { banReason: 'Spam from {user}: {message} ({duration})' });
+        deck.keyDown('ban');
+
+        await deck.waitForTitle('ban', 'TO 600s: spammer');
+        assert.deepStrictEqual(twitch.bans, [{
+            user_id: '400',
+            duration: 600,
+            reason: 'Spam from spammer: buy followers (10m 0s)',
+            moderator_id: '200'
+        }]);
+    });
+
+    it('permanently bans the author of the message held by AutoMod', async () => {
+        twitch.notify('automod.message.hold', {
+            broadcaster_user_id: '100',
+            user_id: '500',
+            user_login: 'troll',
+            message_id: 'held-1',
+            message: { text: 'something nasty' }
+        });
+        await eventually(() => harness.plugin.activeChannel().autoModQueue.count() === 1);
+
+        deck.willAppear('ban', actionUuid('timeoutban'), { banMode: 'ban', banTarget: 'automod' });
+        deck.keyDown('ban');
+
+        await deck.waitForTitle('ban', 'BAN: troll');
+        assert.strictEqual(twitch.bans[0].user_id, '500');
+        assert.strictEqual(twitch.bans[0].duration, undefined);
+    });
+
+    it('shows NO USER when there is nobody to act on', async () => {
+        deck.willAppear('ban', actionUuid('timeoutban'));
+        deck.keyDown('ban');
+
+        await deck.waitForTitle('ban', 'NO USER');
+        assert.deepStrictEqual(twitch.bans, []);
+    });
+
+    it('targets the chatter picked in the Property Inspector', async () => {
+        twitch.notify('channel.chat.message', chatMessage('400', 'spammer', 'hi'));
+        twitch.notify('channel.chat.message', chatMessage('600', 'lurker', 'hello'));
+        await eventually(() => harness.plugin.recentChatters.list().length === 2);
+
+        deck.willAppear('ban', actionUuid('timeoutban'), { banTarget: 'selected', banDuration: 60 });
+        const window = await deck.openPropertyInspector('ban');
+        const picker = window.document.getElementById('banUserId');
+        await eventually(() => picker.options.length === 3);
+
+        picker.value = '400';
+        picker.dispatchEvent(new window.Event('change'));
+        await eventually(() => deck.settings.get('ban').banUserLogin === 'spammer');
+
+        deck.keyDown('ban');
+        await deck.waitForTitle('ban', 'TO 60s: spammer');
+        assert.strictEqual(twitch.bans[0].user_id, '400');
+    });
+});
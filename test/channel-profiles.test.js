@@ -0,0 +1,231 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startHarness, eventually, actionUuid, ALL_SCOPES } = require('./harness');
+
+const SECOND = { id: 'profile-second', name: 'Second', channel: 'second', token: '' };
+
+describe('channel profiles', () => {
+    let harness;
+    let deck;
+    let twitch;
+
+    async function start(profile = SECOND) {
+        harness = await startHarness({
+            globalSettings: { channelProfiles: [profile] },
+            configure: fake => {
+                fake.users.push({ id: '101', login: 'second', display_name: 'Second' });
+                fake.otherTokens['second-token'] = {
+                    client_id: 'test-client',
+                    login: 'secondmod',
+                    user_id: '500',
+                    scopes: ALL_SCOPES.slice(),
+                    expires_in: 14400
+                };
+                fake.moderatorIds.push('500');
+            }
+        });
+        deck = harness.deck;
+        twitch = harness.twitch;
+        await eventually(() => deck.globalSettings.channelIds && deck.globalSettings.channelIds.second);
+    }
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    it('acts on the channel a key is pinned to', async () => {
+        await start();
+        deck.willAppear('shield', actionUuid('shieldmode'));
+        deck.willAppear('subs', actionUuid('subsonly'), { channel: SECOND.id });
+        await deck.waitForTitle('shield', 'OFF\n@streamer');
+        await deck.waitForTitle('subs', 'OFF\n@Second');
+
+        deck.keyDown('subs');
+        await deck.waitForTitle('subs', 'ON\n@Second');
+
+        const [patch] = twitch.requestsTo('PATCH', '/chat/settings');
+        assert.strictEqual(patch.query.get('broadcaster_id'), '101');
+        assert.strictEqual(patch.query.get('moderator_id'), '200');
+        assert.strictEqual(harness.plugin.auditLog.entries()[0].channel, 'second');
+    });
+
+    it('uses a profile\'s own token', async () => {
+        await start({ ...SECOND, token: 'second-token' });
+        deck.willAppear('shield', actionUuid('shieldmode'), { channel: SECOND.id });
+        await deck.waitForTitle('shield', 'OFF\n@Second');
+
+        deck.keyDown('shield');
+        await deck.waitForTitle('shield', 'ON\n@Second');
+
+        const [put] = twitch.requestsTo('PUT', '/moderation/shield_mode');
+        assert.strictEqual(put.headers.authorization, 'Bearer second-token');
+        assert.strictEqual(put.query.get('broadcaster_id'), '101');
+        assert.strictEqual(put.query.get('moderator_id'), '500');
+
+        // The pinned key's state is read with the profile's token too
+        const reads = twitch.requestsTo('GET', '/chat/settings').filter(request => request.query.get('broadcaster_id') === '101');
+        assert.ok(reads.length > 0);
+        assert.ok(reads.every(request => request.headers.authorization === 'Bearer second-token'));
+    });
+
+    it('retargets keys following the active channel', async () => {
+        await start();
+        deck.willAppear('switch', actionUuid('switchchannel'));
+        deck.willAppear('shield', actionUuid('shieldmode'));
+        await deck.waitForTitle('switch', 'CHANNEL\nstreamer');
+        await deck.waitForTitle('shield', 'OFF\n@streamer');
+
+        deck.keyDown('switch');
+        await deck.waitForTitle('switch', 'CHANNEL\nSecond');
+        await deck.waitForTitle('shield', 'OFF\n@Second');
+        assert.strictEqual(deck.globalSettings.activeChannelProfile, SECOND.id);
+        await eventually(() => deck.globalSettings.twitchBroadcasterId === '101');
+
+        // EventSub follows the active channel
+        await eventually(() => twitch.subscriptions.some(subscription => {
+            return subscription.type === 'channel.chat.message' && subscription.condition.broadcaster_user_id === '101';
+        }));
+
+        deck.keyDown('shield');
+        await deck.waitForTitle('shield', 'ON\n@Second');
+        assert.strictEqual(twitch.requestsTo('PUT', '/moderation/shield_mode')[0].query.get('broadcaster_id'), '101');
+    });
+
+    it('picks channels and adds profiles in the Property Inspector', async () => {
+        await start();
+        deck.willAppear('subs', actionUuid('subsonly'));
+        await deck.waitForTitle('subs', 'OFF\n@streamer');
+
+        const window = await deck.openPropertyInspector('subs');
+        const document = window.document;
+        const channel = document.getElementById('channel');
+        await eventually(() => channel.options.length === 3);
+        assert.strictEqual(document.getElementById('channelItem').firstChild.textContent, 'Channel');
+
+        channel.value = SECOND.id;
+        channel.dispatchEvent(new window.Event('change'));
+        await deck.waitForTitle('subs', 'OFF\n@Second');
+        assert.strictEqual(deck.settings.get('subs').channel, SECOND.id);
+
+        document.getElementById('profileName').value = 'Third';
+        document.getElementById('profileChannel').value = 'raider';
+        document.getElementById('addProfileButton').click();
+        await eventually(() => deck.globalSettings.channelProfiles.length === 2);
+        assert.strictEqual(deck.globalSettings.channelProfiles[1].channel, 'raider');
+        await eventually(() => deck.globalSettings.channelIds.raider && deck.globalSettings.channelIds.raider.id === '300');
+        assert.strictEqual(channel.options.length, 4);
+    });
+
+    it('looks up a channel Twitch did not find again once the settings are saved', async () => {
+        harness = await startHarness({
+            globalSettings: { channelProfiles: [{ ...SECOND, channel: 'later' }] }
+        });
+        deck = harness.deck;
+        twitch = harness.twitch;
+        const lookups = () => twitch.requestsTo('GET', '/users').filter(request => request.query.getAll('login').includes('later'));
+        await eventually(() => lookups().length === 1);
+        assert.ok(!('later' in (deck.globalSettings.channelIds || {})));
+
+        // The channel is created after the first lookup
+        twitch.users.push({ id: '102', login: 'later', display_name: 'Later' });
+        deck.willAppear('shield', actionUuid('shieldmode'));
+        const window = await deck.openPropertyInspector('shield');
+        await eventually(() => window.document.getElementById('twitchClientId').value !== '');
+        window.document.getElementById('saveButton').click();
+
+        await eventually(() => deck.globalSettings.channelIds.later && deck.globalSettings.channelIds.later.id === '102');
+        assert.strictEqual(lookups().length, 2);
+    });
+
+    it('follows the AutoMod queue and raids of a channel a key is pinned to', async () => {
+        await start({ ...SECOND, token: 'second-token' });
+        deck.willAppear('allow', actionUuid('allowautomod'));
+        deck.willAppear('pinnedAllow', actionUuid('allowautomod'), { channel: SECOND.id });
+        deck.willAppear('pinnedShoutout', actionUuid('autoshoutout'), { channel: SECOND.id });
+        await eventually(() => twitch.subscriptions.some(subscription => {
+            return subscription.type === 'automod.message.hold' && subscription.condition.broadcaster_user_id === '101';
+        }));
+        await eventually(() => twitch.subscriptions.some(subscription => {
+            return subscription.type === 'channel.raid' && subscription.condition.to_broadcaster_user_id === '101';
+        }));
+
+        twitch.notify('automod.message.hold', {
+            broadcaster_user_id: '101',
+            user_id: '400',
+            user_login: 'chatter',
+            message_id: 'held-1',
+            message: { text: 'hello there' }
+        });
+        await deck.waitForTitle('pinnedAllow', '[1]\n@Second');
+        assert.strictEqual(harness.plugin.activeChannel().autoModQueue.count(), 0);
+
+        deck.keyDown('pinnedAllow');
+        await deck.waitFor(message => message.event === 'showOk' && message.context === 'pinnedAllow');
+        assert.deepStrictEqual(twitch.automodActions, [{ user_id: '500', msg_id: 'held-1', action: 'ALLOW' }]);
+        assert.strictEqual(twitch.requestsTo('POST', '/moderation/automod/message')[0].headers.authorization, 'Bearer second-token');
+
+        twitch.notify('channel.raid', {
+            from_broadcaster_user_id: '300',
+            from_broadcaster_user_login: 'raider',
+            to_broadcaster_user_id: '101',
+            viewers: 42
+        });
+        await deck.waitForTitle('pinnedShoutout', 'SO: raider\n@Second');
+        const [shoutout] = twitch.requestsTo('POST', '/chat/shoutouts');
+        assert.strictEqual(shoutout.query.get('from_broadcaster_id'), '101');
+        assert.strictEqual(shoutout.query.get('moderator_id'), '500');
+        assert.ok(deck.globalSettings.shoutoutQueues['101']);
+        assert.ok(!deck.globalSettings.shoutoutQueues['100']);
+    });
+
+    it('keeps the redemptions of a channel a key is pinned to apart', async () => {
+        await start();
+        deck.willAppear('rewards', actionUuid('redemptions'));
+        deck.willAppear('pinnedRewards', actionUuid('redemptions'), { channel: SECOND.id });
+        await deck.waitForTitle('rewards', 'FULFILL\n[0]\n@streamer');
+        await deck.waitForTitle('pinnedRewards', 'FULFILL\n[0]\n@Second');
+        const loads = twitch.requestsTo('GET', '/channel_points/custom_rewards');
+        assert.deepStrictEqual(Array.from(new Set(loads.map(request => request.query.get('broadcaster_id')))).sort(), ['100', '101']);
+        await eventually(() => twitch.subscriptions.some(subscription => {
+            return subscription.type === 'channel.channel_points_custom_reward_redemption.add' && subscription.condition.broadcaster_user_id === '101';
+        }));
+
+        twitch.notify('channel.channel_points_custom_reward_redemption.add', {
+            id: 'r1',
+            broadcaster_user_id: '101',
+            user_login: 'viewer',
+            reward: { id: 'reward-1' },
+            status: 'UNFULFILLED',
+            redeemed_at: new Date().toISOString()
+        });
+        await deck.waitForTitle('pinnedRewards', 'FULFILL\n[1]\n@Second');
+        assert.strictEqual(harness.plugin.activeChannel().redemptionQueue.count([]), 0);
+    });
+
+    it('undoes the latest action of the key\'s own channel', async () => {
+        await start();
+        deck.willAppear('shield', actionUuid('shieldmode'));
+        deck.willAppear('subs', actionUuid('subsonly'), { channel: SECOND.id });
+        deck.willAppear('undo', actionUuid('undo'));
+        deck.willAppear('pinnedUndo', actionUuid('undo'), { channel: SECOND.id });
+        await deck.waitForTitle('shield', 'OFF\n@streamer');
+        await deck.waitForTitle('subs', 'OFF\n@Second');
+
+        deck.keyDown('shield');
+        await deck.waitForTitle('shield', 'ON\n@streamer');
+        deck.keyDown('subs');
+        await deck.waitForTitle('subs', 'ON\n@Second');
+        await deck.waitForTitle('undo', 'UNDO\nShield ON\n@streamer');
+        await deck.waitForTitle('pinnedUndo', 'UNDO\nSubs ON\n@Second');
+
+        deck.clear();
+        deck.keyDown('pinnedUndo');
+        await deck.waitForTitle('pinnedUndo', 'NOTHING\n@Second');
+        await deck.waitForTitle('undo', 'UNDO\nShield ON\n@streamer');
+        const patches = twitch.requestsTo('PATCH', '/chat/settings');
+        assert.strictEqual(patches.length, 2);
+        assert.strictEqual(patches[1].query.get('broadcaster_id'), '101');
+        assert.strictEqual(twitch.shieldMode.is_active, true);
+    });
+});
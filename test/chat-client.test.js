@@ -0,0 +1,144 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startHarness, eventually, actionUuid } = require('./harness');
+
+const VIEWER = { id: '401', login: 'viewer', displayName: 'Viewer' };
+const REGULAR = { id: '402', login: 'regular', displayName: 'Regular' };
+
+// Copy values out of the plugin's window so they compare as plain objects
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+describe('chat client', () => {
+    let harness;
+    let twitch;
+    let buffer;
+
+    async function start(configure) {
+        harness = await startHarness({ configure });
+        twitch = harness.twitch;
+        buffer = harness.plugin.chatBuffer;
+        await twitch.waitForChatJoin('streamer');
+    }
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    it('reads the active channel anonymously without chat:read', async () => {
+        await start();
+        assert.ok(twitch.chatLines.includes('NICK justinfan12345'));
+        assert.ok(!twitch.chatLines.some(line => line.startsWith('PASS')));
+        assert.ok(twitch.chatLines.includes('JOIN #streamer'));
+    });
+
+    it('logs in with the token when it grants chat:read', async () => {
+        await start(fake => fake.token.scopes.push('chat:read'));
+        assert.ok(twitch.chatLines.includes('PASS oauth:test-token'));
+        assert.ok(twitch.chatLines.includes('NICK modname'));
+    });
+
+    it('buffers messages and tracks first-time chatters and rates', async () => {
+        await start();
+        twitch.say('streamer', VIEWER, 'hello; first time here', { 'first-msg': '1' });
+        twitch.say('streamer', REGULAR, '\u0001ACTION waves\u0001');
+        twitch.say('streamer', REGULAR, 'welcome!');
+        await eventually(() => buffer.recent().length === 3);
+
+        assert.deepStrictEqual(plain(buffer.recent().map(message => message.text)), ['welcome!', 'waves', 'hello; first time here']);
+        assert.strictEqual(buffer.recent()[1].isAction, true);
+        assert.deepStrictEqual(plain(buffer.firstTimeChatters().map(chatter => chatter.login)), ['viewer']);
+        assert.strictEqual(buffer.chatter(REGULAR.id).messageCount, 2);
+        assert.strictEqual(buffer.rate(), 3);
+        assert.strictEqual(buffer.rate(VIEWER.id), 1);
+
+        // The recent chatters Timeout / Ban targets come from chat too
+        assert.strictEqual(harness.plugin.recentChatters.latest().login, 'regular');
+    });
+
+    it('shows the chat rate and first-time chatters in the Timeout / Ban inspector', async () => {
+        await start();
+        harness.deck.willAppear('ban', actionUuid('timeoutban'), { banTarget: 'selected' });
+        const window = await harness.deck.openPropertyInspector('ban');
+        const activity = window.document.getElementById('chatActivity');
+        await eventually(() => activity.textContent === 'Chat: 0 messages per minute.');
+
+        twitch.say('streamer', VIEWER, 'hello; first time here', { 'first-msg': '1' });
+        twitch.say('streamer', REGULAR, 'welcome!');
+        await eventually(() => activity.textContent === 'Chat: 2 messages per minute. First-time chatters: viewer.');
+        const picker = window.document.getElementById('banUserId');
+        assert.deepStrictEqual(Array.from(picker.options, option => option.textContent), ['Select a chatter', 'regular', 'viewer (first message)']);
+    });
+
+    it('keeps a message delivered by both chat and EventSub once', async () => {
+        await start();
+        await twitch.waitForSubscription('channel.chat.message');
+        twitch.notify('channel.chat.message', {
+            broadcaster_user_id: '100',
+            chatter_user_id: VIEWER.id,
+            chatter_user_login: VIEWER.login,
+            chatter_user_name: VIEWER.displayName,
+            message_id: 'msg-1',
+            message: { text: 'hi' }
+        });
+        await eventually(() => buffer.recent().length === 1);
+
+        twitch.say('streamer', VIEWER, 'hi', { 'id': 'msg-1', 'first-msg': '1' });
+        await eventually(() => buffer.firstTimeChatters().length === 1);
+        assert.strictEqual(buffer.recent().length, 1);
+        assert.strictEqual(buffer.chatter(VIEWER.id).messageCount, 1);
+    });
+
+    it('drops deleted messages and answers PINGs', async () => {
+        await start();
+        const deleted = twitch.say('streamer', VIEWER, 'buy followers');
+        twitch.say('streamer', VIEWER, 'cheap');
+        twitch.say('streamer', REGULAR, 'hi');
+        await eventually(() => buffer.recent().length === 3);
+
+        twitch.sendChat('streamer', `@login=viewer;target-msg-id=${deleted} :tmi.twitch.tv CLEARMSG #streamer :buy followers`);
+        await eventually(() => buffer.recent().length === 2);
+        assert.strictEqual(buffer.find(deleted), null);
+
+        twitch.sendChat('streamer', `@target-user-id=${VIEWER.id} :tmi.twitch.tv CLEARCHAT #streamer :viewer`);
+        await eventually(() => buffer.recent().length === 1);
+        assert.strictEqual(buffer.recent()[0].login, 'regular');
+
+        twitch.sendChat(null, 'PING :tmi.twitch.tv');
+        await eventually(() => twitch.chatLines.includes('PONG :tmi.twitch.tv'));
+    });
+
+    it('drops timed out, banned and deleted chatters from the Timeout / Ban targets', async () => {
+        await start();
+        const recent = harness.plugin.recentChatters;
+        twitch.say('streamer', VIEWER, 'buy followers');
+        const deleted = twitch.say('streamer', REGULAR, 'spam');
+        await eventually(() => recent.list().length === 2);
+
+        twitch.sendChat('streamer', `@login=regular;target-msg-id=${deleted} :tmi.twitch.tv CLEARMSG #streamer :spam`);
+        await eventually(() => recent.find(REGULAR.id) === null);
+
+        // Clearing the whole chat targets nobody
+        twitch.sendChat('streamer', ':tmi.twitch.tv CLEARCHAT #streamer');
+        await eventually(() => buffer.recent().length === 0);
+        assert.strictEqual(recent.latest().login, 'viewer');
+
+        twitch.sendChat('streamer', `@target-user-id=${VIEWER.id} :tmi.twitch.tv CLEARCHAT #streamer :viewer`);
+        await eventually(() => recent.list().length === 0);
+    });
+
+    it('reconnects when asked and reads anonymously if chat refuses the token', async () => {
+        await start(fake => fake.token.scopes.push('chat:read'));
+        assert.ok(twitch.chatLines.includes('NICK modname'));
+
+        // The token stops working for chat; the next login is refused
+        twitch.accessToken = 'rotated-token';
+        twitch.chatLines = [];
+        twitch.sendChat(null, 'RECONNECT');
+        await eventually(() => twitch.chatLines.includes('NICK justinfan12345'));
+        assert.ok(twitch.chatLines.includes('PASS oauth:test-token'));
+        await twitch.waitForChatJoin('streamer');
+    });
+});
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startHarness, eventually, actionUuid } = require('./harness');
+
+describe('chat presets', () => {
+    let harness;
+    let deck;
+    let twitch;
+
+    beforeEach(async () => {
+        harness = await startHarness();
+        deck = harness.deck;
+        twitch = harness.twitch;
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    it('applies a whole preset in one request', async () => {
+        deck.willAppear('lockdown', actionUuid('chatpreset'), { presetName: 'Lockdown' });
+        await deck.waitForTitle('lockdown', 'Lockdown');
+
+        deck.keyDown('lockdown');
+        await deck.waitForTitle('lockdown', 'Lockdown\nACTIVE');
+
+        const patches = twitch.requestsTo('PATCH', '/chat/settings');
+        assert.strictEqual(patches.length, 1);
+        assert.deepStrictEqual(patches[0].body, {
+            subscriber_mode: true,
+            follower_mode: false,
+            emote_mode: true,
+            slow_mode: true,
+            slow_mode_wait_time: 30,
+            unique_chat_mode: true,
+            non_moderator_chat_delay: true,
+            non_moderator_chat_delay_duration: 6
+        });
+    });
+
+    it('shows whether the channel matches the preset', async () => {
+        deck.willAppear('normal', actionUuid('chatpreset'), { presetName: 'Normal' });
+        await deck.waitForTitle('normal', 'Normal\nACTIVE');
+        await twitch.waitForSubscription('channel.chat_settings.update');
+
+        deck.clear();
+        twitch.chatSettings.emote_mode = true;
+        twitch.notify('channel.chat_settings.update', { broadcaster_user_id: '100', emote_mode: true });
+        await deck.waitForTitle('normal', 'Normal');
+    });
+
+    it('compares durations only for modes that are on', async () => {
+        twitch.chatSettings.slow_mode = true;
+        twitch.chatSettings.slow_mode_wait_time = 10;
+        deck.willAppear('giveaway', actionUuid('chatpreset'), { presetName: 'Giveaway' });
+        await deck.waitForTitle('giveaway', 'Giveaway');
+
+        deck.keyDown('giveaway');
+        await deck.waitForTitle('giveaway', 'Giveaway\nACTIVE');
+        assert.strictEqual(twitch.chatSettings.slow_mode_wait_time, 5);
+        assert.strictEqual(twitch.chatSettings.follower_mode_duration, 10);
+    });
+
+    it('saves presets from the Property Inspector for every key', async () => {
+        deck.willAppear('editor', actionUuid('chatpreset'), { presetName: 'Normal' });
+        deck.willAppear('other', actionUuid('chatpreset'), { presetName: 'Raid' });
+        await deck.waitForTitle('other', 'NO PRESET');
+
+        const window = await deck.openPropertyInspector('editor');
+        const document = window.document;
+        await eventually(() => document.getElementById('presetName').options.length === 3);
+
+        document.getElementById('preset-follower_mode').checked = true;
+        document.getElementById('preset-follower_mode_duration').value = '60';
+        document.getElementById('presetSaveName').value = 'Raid';
+        document.getElementById('savePresetButton').click();
+
+        await eventually(() => deck.globalSettings.chatPresets && deck.globalSettings.chatPresets.Raid);
+        assert.strictEqual(deck.globalSettings.chatPresets.Raid.follower_mode, true);
+        assert.strictEqual(deck.globalSettings.chatPresets.Raid.follower_mode_duration, 60);
+        assert.deepStrictEqual(Object.keys(deck.globalSettings.chatPresets), ['Normal', 'Lockdown', 'Giveaway', 'Raid']);
+        await eventually(() => deck.settings.get('editor').presetName === 'Raid');
+        await deck.waitForTitle('other', 'Raid');
+
+        deck.keyDown('other');
+        await deck.waitForTitle('other', 'Raid\nACTIVE');
+        assert.strictEqual(twitch.chatSettings.follower_mode_duration, 60);
+    });
+
+    it('can be undone', async () => {
+        deck.willAppear('lockdown', actionUuid('chatpreset'), { presetName: 'Lockdown' });
+        deck.willAppear('undo', actionUuid('undo'));
+        deck.keyDown('lockdown');
+        await deck.waitForTitle('undo', 'UNDO\nPreset Lockdown');
+
+        deck.clear();
+        deck.keyDown('undo');
+        await deck.waitForTitle('undo', 'NOTHING');
+        assert.strictEqual(twitch.chatSettings.subscriber_mode, false);
+        assert.strictEqual(twitch.chatSettings.emote_mode, false);
+    });
+});
@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startHarness, eventually, actionUuid } = require('./harness');
+
+describe('durations', () => {
+    let harness;
+    let deck;
+    let twitch;
+
+    beforeEach(async () => {
+        harness = await startHarness();
+        deck = harness.deck;
+        twitch = harness.twitch;
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    // Show a key and wait for the plugin to store its migrated settings, which the Property Inspector is sent
+    async function appear(context, action, settings) {
+        deck.willAppear(context, actionUuid(action), settings);
+        await eventually(() => deck.settings.has(context));
+    }
+
+    // Type into a Property Inspector input the way the user would
+    function type(window, id, value) {
+        const input = window.document.getElementById(id);
+        input.value = value;
+        input.dispatchEvent(new window.Event('change'));
+        return input;
+    }
+
+    it('converts compound durations to the field\'s unit', async () => {
+        await appear('followers', 'followersonly');
+        const window = await deck.openPropertyInspector('followers');
+        await eventually(() => window.document.getElementById('followDuration').value === '10m');
+
+        type(window, 'followDuration', '1h30m');
+        await eventually(() => deck.settings.get('followers').followDuration === 90);
+        assert.strictEqual(window.document.getElementById('followDurationError').textContent, '');
+
+        type(window, 'followDuration', '2d');
+        await eventually(() => deck.settings.get('followers').followDuration === 2880);
+        assert.strictEqual(window.document.getElementById('followDuration').value, '2d');
+
+        type(window, 'autoOffAfter', '1h 30m');
+        await eventually(() => deck.settings.get('followers').autoOffAfter === 5400);
+
+        deck.keyDown('followers');
+        await deck.waitFor(message => message.event === 'setTitle' && message.context === 'followers' && message.payload.title.startsWith('ON'));
+        assert.strictEqual(twitch.chatSettings.follower_mode_duration, 2880);
+    });
+
+    it('clamps durations to Twitch\'s limits with a warning', async () => {
+        await appear('slow', 'slowmode', { slowDelay: 30 });
+        const window = await deck.openPropertyInspector('slow');
+        const document = window.document;
+        await eventually(() => document.getElementById('slowDelay').value === '30s');
+
+        const input = type(window, 'slowDelay', '5m');
+        assert.strictEqual(input.value, '2m');
+        assert.strictEqual(document.getElementById('slowDelayError').textContent, 'Lowered to the maximum of 2m');
+        assert.ok(document.getElementById('slowDelayError').classList.contains('status-warning'));
+        assert.ok(!input.classList.contains('invalid'));
+        await eventually(() => deck.settings.get('slow').slowDelay === 120);
+
+        type(window, 'slowDelay', '1s');
+        assert.strictEqual(document.getElementById('slowDelayError').textContent, 'Raised to the minimum of 3s');
+        await eventually(() => deck.settings.get('slow').slowDelay === 3);
+
+        await appear('followers', 'followersonly');
+        const followers = await deck.openPropertyInspector('followers');
+        await eventually(() => followers.document.getElementById('followDuration').value === '10m');
+        type(followers, 'followDuration', '90s');
+        assert.strictEqual(followers.document.getElementById('followDurationError').textContent, 'Rounded to 2m');
+        await eventually(() => deck.settings.get('followers').followDuration === 2);
+    });
+
+    it('reads durations in the preset editor', async () => {
+        await appear('editor', 'chatpreset', { presetName: 'Normal' });
+        const window = await deck.openPropertyInspector('editor');
+        const document = window.document;
+        await eventually(() => document.getElementById('presetName').options.length === 3);
+        assert.strictEqual(document.getElementById('preset-slow_mode_wait_time').value, '30s');
+
+        document.getElementById('preset-follower_mode_duration').value = 'soon';
+        document.getElementById('savePresetButton').click();
+        assert.strictEqual(document.getElementById('presetStatus').textContent, 'Followers only: Enter a duration such as 90s, 5m or 1h30m');
+        assert.ok(!deck.globalSettings.chatPresets);
+
+        document.getElementById('preset-follower_mode_duration').value = '1d12h';
+        document.getElementById('preset-slow_mode_wait_time').value = '5m';
+        document.getElementById('savePresetButton').click();
+        assert.strictEqual(document.getElementById('presetStatus').textContent, 'Slow mode: Lowered to the maximum of 2m');
+        await eventually(() => deck.globalSettings.chatPresets);
+        assert.strictEqual(deck.globalSettings.chatPresets.Normal.follower_mode_duration, 2160);
+        assert.strictEqual(deck.globalSettings.chatPresets.Normal.slow_mode_wait_time, 120);
+        assert.strictEqual(document.getElementById('preset-follower_mode_duration').value, '1d12h');
+    });
+});
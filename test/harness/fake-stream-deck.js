@@ -0,0 +1,280 @@
+// Headless Stream Deck host for offline tests
+//
+// Plays the part of the Stream Deck software: it runs a local WebSocket
+// server, loads plugin/main.html and pi/pi.html in jsdom, launches them via
+// connectElgatoStreamDeckSocket and routes events between them.
+
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { WebSocketServer } = require('ws');
+
+const PLUGIN_DIR = path.join(__dirname, '..', '..', 'com.ijakesays.streamdeck.twitchmod.sdPlugin');
+const PLUGIN_UUID = 'test-plugin-uuid';
+const DEVICE = 'test-device';
+
+/**
+ * Fake Stream Deck software
+ */
+class FakeStreamDeck {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.globalSettings] - Global settings the plugin starts with
+     */
+    constructor(options = {}) {
+        this.globalSettings = options.globalSettings || {};
+        this.settings = new Map();
+        this.actions = new Map();
+        this.messages = [];
+        this.logs = [];
+        this.errors = [];
+        this.server = null;
+        this.pluginSocket = null;
+        this.pluginWindow = null;
+        this.inspectors = new Map();
+        this.waiters = [];
+    }
+
+    async start() {
+        this.server = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+        this.server.on('connection', ws => {
+            ws.on('message', data => this.handleMessage(ws, JSON.parse(data)));
+        });
+        await new Promise(resolve => this.server.once('listening', resolve));
+        return this.port;
+    }
+
+    async stop() {
+        this.inspectors.forEach(inspector => inspector.window.close());
+        if (this.pluginWindow) {
+            this.pluginWindow.close();
+        }
+        this.server.clients.forEach(ws => ws.terminate());
+        await new Promise(resolve => this.server.close(resolve));
+    }
+
+    get port() {
+        return this.server.address().port;
+    }
+
+    /**
+     * Load an HTML page of the plugin in jsdom and wait for its scripts
+     */
+    async loadPage(relativePath) {
+        const virtualConsole = new VirtualConsole();
+        ['log', 'info', 'warn', 'error'].forEach(level => {
+            virtualConsole.on(level, (...args) => this.logs.push({ level, message: args.join(' ') }));
+        });
+        virtualConsole.on('jsdomError', error => this.errors.push(error));
+
+        const dom = await JSDOM.fromFile(path.join(PLUGIN_DIR, relativePath), {
+            runScripts: 'dangerously',
+            resources: 'usable',
+            virtualConsole: virtualConsole,
+            beforeParse(window) {
+                window.fetch = fetch;
+            }
+        });
+        await new Promise(resolve => dom.window.addEventListener('load', resolve));
+        return dom.window;
+    }
+
+    /**
+     * Launch plugin/main.html and wait for it to register
+     * @returns {Promise<Window>} The plugin's window
+     */
+    async launchPlugin() {
+        this.pluginWindow = await this.loadPage('plugin/main.html');
+        const registered = this.waitForRegistration('registerPlugin');
+        this.pluginWindow.connectElgatoStreamDeckSocket(
+            this.port, PLUGIN_UUID, 'registerPlugin', JSON.stringify({ application: { version: '6.0' } })
+        );
+        await registered;
+        return this.pluginWindow;
+    }
+
+    /**
+     * Open the Property Inspector for a key and wait for it to register
+     * @returns {Promise<Window>} The Property Inspector's window
+     */
+    async openPropertyInspector(context) {
+        const action = this.actions.get(context);
+        const window = await this.loadPage('pi/pi.html');
+        const registered = this.waitForRegistration('registerPropertyInspector');
+        window.connectElgatoStreamDeckSocket(
+            this.port, context, 'registerPropertyInspector', JSON.stringify({}),
+            JSON.stringify({ action, context, device: DEVICE, payload: { settings: this.settings.get(context) || {} } })
+        );
+        const ws = await registered;
+        this.inspectors.set(context, { window, ws, received: [] });
+        this.sendToPlugin({ event: 'propertyInspectorDidAppear', action, context, device: DEVICE });
+        return window;
+    }
+
+    waitForRegistration(event) {
+        return new Promise(resolve => {
+            this.onRegister = (ws, data) => {
+                if (data.event === event) {
+                    resolve(ws);
+                }
+            };
+        });
+    }
+
+    handleMessage(ws, data) {
+        if (data.event === 'registerPlugin') {
+            this.pluginSocket = ws;
+            ws.isPlugin = true;
+            this.onRegister(ws, data);
+            return;
+        }
+        if (data.event === 'registerPropertyInspector') {
+            ws.context = data.uuid;
+            this.onRegister(ws, data);
+            return;
+        }
+
+        const fromPlugin = Boolean(ws.isPlugin);
+        const record = { ...data, from: fromPlugin ? 'plugin' : 'inspector' };
+        this.messages.push(record);
+
+        switch (data.event) {
+            case 'getGlobalSettings':
+                this.sendTo(ws, { event: 'didReceiveGlobalSettings', payload: { settings: this.globalSettings } });
+                break;
+            case 'setGlobalSettings':
+                this.globalSettings = data.payload;
+                // The other side is told about the change, as the real software does
+                if (fromPlugin) {
+                    this.inspectors.forEach(inspector => this.sendTo(inspector.ws, {
+                        event: 'didReceiveGlobalSettings', payload: { settings: this.globalSettings }
+                    }));
+                } else {
+                    this.sendToPlugin({ event: 'didReceiveGlobalSettings', payload: { settings: this.globalSettings } });
+                }
+                break;
+            case 'getSettings':
+                this.sendTo(ws, this.settingsEvent(data.context));
+                break;
+            case 'setSettings':
+                this.settings.set(data.context, data.payload);
+                if (!fromPlugin) {
+                    this.sendToPlugin(this.settingsEvent(data.context));
+                } else if (this.inspectors.has(data.context)) {
+                    this.sendTo(this.inspectors.get(data.context).ws, this.settingsEvent(data.context));
+                }
+                break;
+            case 'sendToPlugin':
+                this.sendToPlugin({ event: 'sendToPlugin', action: data.action, context: data.context, payload: data.payload });
+                break;
+            case 'sendToPropertyInspector': {
+                const inspector = this.inspectors.get(data.context);
+                if (inspector) {
+                    inspector.received.push(data.payload);
+                    this.sendTo(inspector.ws, { event: 'sendToPropertyInspector', action: data.action, context: data.context, payload: data.payload });
+                }
+                break;
+            }
+        }
+
+        this.waiters = this.waiters.filter(waiter => !waiter.check(record));
+    }
+
+    settingsEvent(context) {
+        return {
+            event: 'didReceiveSettings',
+            action: this.actions.get(context),
+            context: context,
+            device: DEVICE,
+            payload: { settings: this.settings.get(context) || {}, coordinates: { column: 0, row: 0 } }
+        };
+    }
+
+    sendTo(ws, data) {
+        ws.send(JSON.stringify(data));
+    }
+
+    sendToPlugin(data) {
+        this.sendTo(this.pluginSocket, data);
+    }
+
+    /**
+     * Place a key on the deck
+     */
+    willAppear(context, action, settings = {}, coordinates = { column: 0, row: 0 }) {
+        this.actions.set(context, action);
+        this.settings.set(context, settings);
+        this.sendToPlugin({
+            event: 'willAppear', action, context, device: DEVICE,
+            payload: { settings, coordinates, state: 0, isInMultiAction: false }
+        });
+    }
+
+    willDisappear(context) {
+        this.sendToPlugin({
+            event: 'willDisappear', action: this.actions.get(context), context, device: DEVICE,
+            payload: { settings: this.settings.get(context), coordinates: { column: 0, row: 0 }, isInMultiAction: false }
+        });
+        this.actions.delete(context);
+    }
+
+    keyDown(context, coordinates = { column: 0, row: 0 }) {
+        this.sendToPlugin({
+            event: 'keyDown', action: this.actions.get(context), context, device: DEVICE,
+            payload: { settings: this.settings.get(context) || {}, coordinates, state: 0, isInMultiAction: false }
+        });
+    }
+
+    /**
+     * Wait for a message from the plugin or an inspector
+     * @param {Function} predicate - Called with each message (including ones already received)
+     * @param {number} timeout - Milliseconds before failing
+     */
+    waitFor(predicate, timeout = 2000) {
+        const existing = this.messages.find(predicate);
+        if (existing) {
+            return Promise.resolve(existing);
+        }
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(candidate => candidate !== waiter);
+                reject(new Error(`Timed out waiting for message matching ${predicate}`));
+            }, timeout);
+            const waiter = {
+                check: message => {
+                    if (!predicate(message)) {
+                        return false;
+                    }
+                    clearTimeout(timer);
+                    resolve(message);
+                    return true;
+                }
+            };
+            this.waiters.push(waiter);
+        });
+    }
+
+    /**
+     * Wait for a key to be given a title
+     */
+    waitForTitle(context, title, timeout) {
+        return this.waitFor(message => {
+            return message.event === 'setTitle' && message.context === context && message.payload.title === title;
+        }, timeout);
+    }
+
+    /**
+     * Forget recorded messages, e.g. before pressing a key again
+     */
+    clear() {
+        this.messages = [];
+    }
+
+    /**
+     * Messages the plugin sent for a key
+     */
+    sent(event, context) {
+        return this.messages.filter(message => message.event === event && (!context || message.context === context));
+    }
+}
+
+module.exports = { FakeStreamDeck, PLUGIN_UUID };
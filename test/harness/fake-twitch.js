@@ -0,0 +1,493 @@
+// Fake Twitch Helix, OAuth2 and EventSub server for offline tests
+
+const http = require('http');
+const { WebSocketServer } = require('ws');
+
+const ALL_SCOPES = [
+    'channel:manage:redemptions',
+    'moderator:manage:automod',
+    'moderator:manage:banned_users',
+    'moderator:manage:chat_settings',
+    'moderator:manage:shield_mode',
+    'moderator:manage:shoutouts',
+    'user:read:chat',
+    'user:write:chat'
+];
+
+/**
+ * Escape an IRCv3 tag value
+ */
+function escapeTag(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\:').replace(/ /g, '\\s').replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+}
+
+/**
+ * In-memory Twitch stand-in
+ *
+ * Serves /helix/*, /oauth2/*, an EventSub WebSocket at /ws and a TMI chat
+ * WebSocket at /irc from one local port. Tests read and mutate the public
+ * state fields directly.
+ */
+class FakeTwitch {
+    constructor() {
+        this.server = null;
+        this.eventSubServer = null;
+        this.eventSubSockets = new Set();
+        this.chatServer = null;
+        this.chatClients = new Set();
+        // IRC lines the plugin sent to chat
+        this.chatLines = [];
+        this.requests = [];
+        this.messageCount = 0;
+        this.failures = [];
+
+        this.accessToken = 'test-token';
+        this.token = {
+            client_id: 'test-client',
+            login: 'modname',
+            user_id: '200',
+            scopes: ALL_SCOPES.slice(),
+            expires_in: 14400
+        };
+        // Tokens of other accounts, each mapped to its /validate response
+        this.otherTokens = {};
+        this.deviceApproved = true;
+        this.refreshCount = 0;
+
+        this.users = [
+            { id: '100', login: 'streamer', display_name: 'Streamer' },
+            { id: '200', login: 'modname', display_name: 'ModName' },
+            { id: '300', login: 'raider', display_name: 'Raider' }
+        ];
+        this.moderatorIds = ['200'];
+        this.chatSettings = {
+            broadcaster_id: '100',
+            subscriber_mode: false,
+            follower_mode: false,
+            follower_mode_duration: null,
+            emote_mode: false,
+            slow_mode: false,
+            slow_mode_wait_time: null,
+            unique_chat_mode: false,
+            non_moderator_chat_delay: false,
+            non_moderator_chat_delay_duration: null
+        };
+        this.shieldMode = { is_active: false };
+        this.rewards = [{ id: 'reward-1', title: 'Hydrate', is_enabled: true, is_paused: false }];
+        this.redemptions = [];
+        this.shoutouts = [];
+        this.chatMessages = [];
+        this.automodActions = [];
+        this.bans = [];
+        this.subscriptions = [];
+        this.rateLimit = { limit: 800, remaining: 800 };
+    }
+
+    /**
+     * Start listening on a random local port
+     * @returns {Promise<string>} Base URL
+     */
+    async start() {
+        this.server = http.createServer((req, res) => this.handleHttp(req, res));
+        this.eventSubServer = new WebSocketServer({ noServer: true });
+        this.chatServer = new WebSocketServer({ noServer: true });
+        this.server.on('upgrade', (req, socket, head) => {
+            if (req.url.startsWith('/irc')) {
+                this.chatServer.handleUpgrade(req, socket, head, ws => this.handleChatConnection(ws));
+            } else {
+                this.eventSubServer.handleUpgrade(req, socket, head, ws => this.handleEventSubConnection(ws));
+            }
+        });
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        return this.baseUrl;
+    }
+
+    async stop() {
+        this.eventSubSockets.forEach(ws => ws.terminate());
+        this.chatClients.forEach(client => client.ws.terminate());
+        await new Promise(resolve => this.eventSubServer.close(resolve));
+        await new Promise(resolve => this.chatServer.close(resolve));
+        this.server.closeAllConnections();
+        await new Promise(resolve => this.server.close(resolve));
+    }
+
+    get baseUrl() {
+        return `http://127.0.0.1:${this.server.address().port}`;
+    }
+
+    get eventSubUrl() {
+        return `ws://127.0.0.1:${this.server.address().port}/ws`;
+    }
+
+    get chatUrl() {
+        return `ws://127.0.0.1:${this.server.address().port}/irc`;
+    }
+
+    /**
+     * Global settings pointing the plugin at this server
+     */
+    pluginSettings(overrides = {}) {
+        return {
+            twitchChannel: 'streamer',
+            twitchToken: this.accessToken,
+            twitchClientId: this.token.client_id,
+            twitchApiBaseUrl: `${this.baseUrl}/helix`,
+            twitchAuthBaseUrl: `${this.baseUrl}/oauth2`,
+            twitchEventSubUrl: this.eventSubUrl,
+            twitchChatUrl: this.chatUrl,
+            ...overrides
+        };
+    }
+
+    /**
+     * Make the next matching request fail
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below /helix
+     * @param {number} status - Status to respond with
+     * @param {number} times - How many requests to fail
+     */
+    failNext(method, path, status, times = 1) {
+        this.failures.push({ method, path, status, times });
+    }
+
+    /**
+     * Helix requests received, optionally filtered
+     */
+    requestsTo(method, path) {
+        return this.requests.filter(request => request.method === method && request.path === path);
+    }
+
+    /**
+     * Push an EventSub notification to every connected session
+     */
+    notify(type, event) {
+        this.eventSubSockets.forEach(ws => this.sendEventSub(ws, 'notification', {
+            subscription: { type: type, version: '1', status: 'enabled' },
+            event: event
+        }));
+    }
+
+    /**
+     * Wait until the plugin has subscribed to the given EventSub type
+     */
+    async waitForSubscription(type, timeout = 2000) {
+        const deadline = Date.now() + timeout;
+        while (!this.subscriptions.some(subscription => subscription.type === type)) {
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for EventSub subscription ${type}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+
+    sendEventSub(ws, messageType, payload) {
+        ws.send(JSON.stringify({
+            metadata: {
+                message_id: `message-${++this.messageCount}`,
+                message_type: messageType,
+                message_timestamp: new Date().toISOString()
+            },
+            payload: payload
+        }));
+    }
+
+    handleEventSubConnection(ws) {
+        this.eventSubSockets.add(ws);
+        ws.on('close', () => this.eventSubSockets.delete(ws));
+        this.sendEventSub(ws, 'session_welcome', {
+            session: {
+                id: `session-${this.messageCount + 1}`,
+                status: 'connected',
+                keepalive_timeout_seconds: 10,
+                reconnect_url: null
+            }
+        });
+    }
+
+    /**
+     * Post a chat message to every client in a channel
+     * @param {string} channel - Channel login
+     * @param {Object} chatter - { id, login, displayName }
+     * @param {string} text - Message text
+     * @param {Object} [tags] - Extra IRCv3 tags, e.g. { 'first-msg': '1' }
+     * @returns {string} The message ID
+     */
+    say(channel, chatter, text, tags = {}) {
+        const id = tags.id || `chat-${++this.messageCount}`;
+        const allTags = {
+            'display-name': chatter.displayName || chatter.login,
+            'first-msg': '0',
+            'id': id,
+            'tmi-sent-ts': String(Date.now()),
+            'user-id': chatter.id,
+            ...tags
+        };
+        const tagText = Object.keys(allTags).map(key => `${key}=${escapeTag(allTags[key])}`).join(';');
+        const prefix = `${chatter.login}!${chatter.login}@${chatter.login}.tmi.twitch.tv`;
+        this.sendChat(channel, `@${tagText} :${prefix} PRIVMSG #${channel} :${text}`);
+        return id;
+    }
+
+    /**
+     * Send a raw IRC line to every client in a channel, or to every client
+     */
+    sendChat(channel, line) {
+        this.chatClients.forEach(client => {
+            if (!channel || client.channels.has(channel)) {
+                client.ws.send(`${line}\r\n`);
+            }
+        });
+    }
+
+    /**
+     * Wait until a chat client has joined the channel
+     */
+    async waitForChatJoin(channel, timeout = 2000) {
+        const deadline = Date.now() + timeout;
+        while (!Array.from(this.chatClients).some(client => client.channels.has(channel))) {
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for a chat client to join ${channel}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+
+    handleChatConnection(ws) {
+        const client = { ws: ws, token: null, nick: null, channels: new Set() };
+        this.chatClients.add(client);
+        ws.on('close', () => this.chatClients.delete(client));
+        ws.on('message', data => {
+            String(data).split('\r\n').filter(Boolean).forEach(line => this.handleChatLine(client, line));
+        });
+    }
+
+    handleChatLine(client, line) {
+        this.chatLines.push(line);
+        const [command, ...words] = line.split(' ');
+        const argument = words.join(' ');
+        switch (command) {
+            case 'CAP':
+                client.ws.send(`:tmi.twitch.tv CAP * ACK ${argument.replace('REQ ', '')}\r\n`);
+                break;
+            case 'PASS':
+                client.token = argument.replace('oauth:', '');
+                break;
+            case 'NICK':
+                client.nick = argument;
+                if (client.token && client.token !== this.accessToken && !this.otherTokens[client.token]) {
+                    client.ws.send(':tmi.twitch.tv NOTICE * :Login authentication failed\r\n');
+                    client.ws.close();
+                    break;
+                }
+                client.ws.send(`:tmi.twitch.tv 001 ${client.nick} :Welcome, GLHF!\r\n`);
+                break;
+            case 'JOIN': {
+                const channel = argument.replace('#', '');
+                client.channels.add(channel);
+                client.ws.send(`:${client.nick}!${client.nick}@${client.nick}.tmi.twitch.tv JOIN #${channel}\r\n`);
+                break;
+            }
+        }
+    }
+
+    async handleHttp(req, res) {
+        const url = new URL(req.url, this.baseUrl);
+        let raw = '';
+        for await (const chunk of req) {
+            raw += chunk;
+        }
+
+        const request = {
+            method: req.method,
+            path: url.pathname.replace(/^\/helix/, ''),
+            query: url.searchParams,
+            headers: req.headers,
+            body: raw && req.headers['content-type'] === 'application/json' ? JSON.parse(raw) : raw
+        };
+
+        if (url.pathname.startsWith('/oauth2/')) {
+            return this.handleOAuth(url.pathname.substring(7), request, res);
+        }
+
+        this.requests.push(request);
+        if (!this.tokenInfo(req.headers.authorization, 'Bearer') || !req.headers['client-id']) {
+            return this.send(res, 401, { error: 'Unauthorized', status: 401, message: 'Invalid OAuth token' });
+        }
+
+        const failure = this.failures.find(candidate => candidate.method === request.method && candidate.path === request.path);
+        if (failure) {
+            if (--failure.times === 0) {
+                this.failures.splice(this.failures.indexOf(failure), 1);
+            }
+            return this.send(res, failure.status, { status: failure.status, message: 'Injected failure' });
+        }
+
+        if (this.rateLimit.remaining === 0) {
+            return this.send(res, 429, { error: 'Too Many Requests', status: 429, message: 'Rate limit exceeded' });
+        }
+
+        const [status, body] = this.route(request);
+        return this.send(res, status, body);
+    }
+
+    route(request) {
+        const query = request.query;
+        const isModerator = query.get('broadcaster_id') === query.get('moderator_id') ||
+            this.moderatorIds.includes(query.get('moderator_id'));
+
+        switch (`${request.method} ${request.path}`) {
+            case 'GET /users': {
+                const logins = query.getAll('login');
+                const ids = query.getAll('id');
+                return [200, { data: this.users.filter(user => logins.includes(user.login) || ids.includes(user.id)) }];
+            }
+            case 'GET /chat/settings':
+                return [200, { data: [this.chatSettings] }];
+            case 'PATCH /chat/settings':
+                if (!isModerator) {
+                    return [403, { message: 'The user in moderator_id is not one of the broadcaster\'s moderators' }];
+                }
+                Object.assign(this.chatSettings, request.body);
+                return [200, { data: [this.chatSettings] }];
+            case 'GET /moderation/shield_mode':
+                if (!isModerator) {
+                    return [403, { message: 'The user in moderator_id is not one of the broadcaster\'s moderators' }];
+                }
+                return [200, { data: [this.shieldMode] }];
+            case 'PUT /moderation/shield_mode':
+                this.shieldMode = { ...this.shieldMode, is_active: request.body.is_active };
+                return [200, { data: [this.shieldMode] }];
+            case 'POST /moderation/automod/message':
+                this.automodActions.push(request.body);
+                return [204, null];
+            case 'POST /moderation/bans': {
+                if (!isModerator) {
+                    return [403, { message: 'The user in moderator_id is not one of the broadcaster\'s moderators' }];
+                }
+                const ban = { ...request.body.data, moderator_id: query.get('moderator_id') };
+                this.bans.push(ban);
+                const endTime = ban.duration ? new Date(Date.now() + ban.duration * 1000).toISOString() : null;
+                return [200, { data: [{ broadcaster_id: query.get('broadcaster_id'), user_id: ban.user_id, end_time: endTime }] }];
+            }
+            case 'DELETE /moderation/bans': {
+                const index = this.bans.findIndex(ban => ban.user_id === query.get('user_id'));
+                if (index === -1) {
+                    return [400, { message: 'The user specified in the user_id field is not banned' }];
+                }
+                this.bans.splice(index, 1);
+                return [204, null];
+            }
+            case 'POST /chat/shoutouts':
+                this.shoutouts.push(query.get('to_broadcaster_id'));
+                return [204, null];
+            case 'POST /chat/messages':
+                this.chatMessages.push(request.body);
+                return [200, { data: [{ message_id: `message-${this.chatMessages.length}`, is_sent: true }] }];
+            case 'GET /channel_points/custom_rewards':
+                return [200, { data: this.rewards }];
+            case 'PATCH /channel_points/custom_rewards': {
+                const reward = this.rewards.find(candidate => candidate.id === query.get('id'));
+                if (!reward) {
+                    return [404, { message: 'Reward not found' }];
+                }
+                Object.assign(reward, request.body);
+                return [200, { data: [reward] }];
+            }
+            case 'GET /channel_points/custom_rewards/redemptions':
+                return this.listRedemptions(query);
+            case 'PATCH /channel_points/custom_rewards/redemptions': {
+                const ids = query.getAll('id');
+                const updated = this.redemptions.filter(redemption => ids.includes(redemption.id));
+                updated.forEach(redemption => {
+                    redemption.status = request.body.status;
+                });
+                return [200, { data: updated }];
+            }
+            case 'POST /eventsub/subscriptions': {
+                const subscription = { id: `sub-${this.subscriptions.length + 1}`, status: 'enabled', ...request.body };
+                this.subscriptions.push(subscription);
+                return [202, { data: [subscription] }];
+            }
+            default:
+                return [404, { message: `No fake route for ${request.method} ${request.path}` }];
+        }
+    }
+
+    listRedemptions(query) {
+        const first = parseInt(query.get('first') || '20', 10);
+        const start = query.get('after') ? parseInt(query.get('after'), 10) : 0;
+        const matching = this.redemptions.filter(redemption => {
+            return redemption.reward.id === query.get('reward_id') && redemption.status === query.get('status');
+        });
+        const page = matching.slice(start, start + first);
+        const cursor = start + first < matching.length ? String(start + first) : undefined;
+        return [200, { data: page, pagination: cursor ? { cursor: cursor } : {} }];
+    }
+
+    /**
+     * The account an Authorization header's token belongs to
+     * @param {string} header - Authorization header
+     * @param {string} type - "Bearer" for Helix, "OAuth" for /validate
+     * @returns {Object|null} The token's /validate response
+     */
+    tokenInfo(header, type) {
+        const token = (header || '').startsWith(`${type} `) ? header.substring(type.length + 1) : null;
+        if (token === this.accessToken) {
+            return this.token;
+        }
+        return this.otherTokens[token] || null;
+    }
+
+    handleOAuth(path, request, res) {
+        const form = new URLSearchParams(typeof request.body === 'string' ? request.body : '');
+
+        switch (`${request.method} ${path}`) {
+            case 'GET /validate':
+                if (!this.tokenInfo(request.headers.authorization, 'OAuth')) {
+                    return this.send(res, 401, { status: 401, message: 'invalid access token' });
+                }
+                return this.send(res, 200, this.tokenInfo(request.headers.authorization, 'OAuth'));
+            case 'POST /device':
+                this.deviceScopes = form.get('scopes');
+                return this.send(res, 200, {
+                    device_code: 'device-code',
+                    user_code: 'ABCDEFGH',
+                    verification_uri: 'https://www.twitch.tv/activate?device-code=ABCDEFGH',
+                    interval: 0.01,
+                    expires_in: 5
+                });
+            case 'POST /token':
+                if (form.get('grant_type') === 'refresh_token') {
+                    this.refreshCount++;
+                    this.accessToken = `refreshed-token-${this.refreshCount}`;
+                } else if (!this.deviceApproved) {
+                    return this.send(res, 400, { status: 400, message: 'authorization_pending' });
+                } else {
+                    this.accessToken = 'device-token';
+                }
+                return this.send(res, 200, {
+                    access_token: this.accessToken,
+                    refresh_token: `refresh-${this.refreshCount}`,
+                    expires_in: 14400,
+                    scope: this.token.scopes,
+                    token_type: 'bearer'
+                });
+            default:
+                return this.send(res, 404, { message: `No fake route for ${request.method} ${path}` });
+        }
+    }
+
+    send(res, status, body) {
+        res.setHeader('Ratelimit-Limit', this.rateLimit.limit);
+        res.setHeader('Ratelimit-Remaining', this.rateLimit.remaining);
+        res.setHeader('Ratelimit-Reset', Math.floor(Date.now() / 1000) + 60);
+        if (body === null) {
+            res.writeHead(status);
+            return res.end();
+        }
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify(body));
+    }
+}
+
+module.exports = { FakeTwitch, ALL_SCOPES };
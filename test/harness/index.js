@@ -0,0 +1,61 @@
+// Shared setup for end-to-end specs
+
+const { FakeStreamDeck, PLUGIN_UUID } = require('./fake-stream-deck');
+const { FakeTwitch, ALL_SCOPES } = require('./fake-twitch');
+
+const ACTION_PREFIX = 'com.ijakesays.streamdeck.twitchmod';
+
+/**
+ * Start a fake Twitch server and a fake Stream Deck running the plugin
+ * @param {Object} options
+ * @param {Function} [options.configure] - Called with the fake Twitch before the plugin launches
+ * @param {Object} [options.globalSettings] - Extra global settings
+ * @param {boolean} [options.waitForIds] - Wait for broadcaster and moderator IDs to resolve (default true)
+ * @returns {Promise<Object>} { deck, twitch, plugin, stop }
+ */
+async function startHarness(options = {}) {
+    const twitch = new FakeTwitch();
+    await twitch.start();
+    if (options.configure) {
+        options.configure(twitch);
+    }
+
+    const deck = new FakeStreamDeck({ globalSettings: twitch.pluginSettings(options.globalSettings) });
+    await deck.start();
+    const window = await deck.launchPlugin();
+
+    // The plugin resolves the channel and moderator IDs once it has validated the token
+    if (options.waitForIds !== false) {
+        await eventually(() => deck.globalSettings.twitchBroadcasterId && deck.globalSettings.twitchModeratorId);
+    }
+
+    return {
+        deck,
+        twitch,
+        window,
+        plugin: window.eval('plugin'),
+        async stop() {
+            await deck.stop();
+            await twitch.stop();
+        }
+    };
+}
+
+/**
+ * Wait until a condition holds
+ */
+async function eventually(condition, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Condition not met within ${timeout}ms: ${condition}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+function actionUuid(id) {
+    return `${ACTION_PREFIX}.${id}`;
+}
+
+module.exports = { startHarness, eventually, actionUuid, ALL_SCOPES, PLUGIN_UUID };
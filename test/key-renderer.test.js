@@ -0,0 +1,143 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startHarness, eventually, actionUuid } = require('./harness');
+
+// jsdom cannot draw on a canvas, so the plugin's canvas records its drawing calls as the image instead
+function recordDrawing(window) {
+    window.HTMLCanvasElement.prototype.getContext = function() {
+        if (!this.drawing) {
+            const calls = [];
+            this.calls = calls;
+            this.drawing = new Proxy({}, {
+                get: (state, name) => name in state ? state[name] : (...args) => {
+                    calls.push({ call: name, fillStyle: state.fillStyle, strokeStyle: state.strokeStyle, args: args });
+                }
+            });
+        }
+        return this.drawing;
+    };
+    window.HTMLCanvasElement.prototype.toDataURL = function() {
+        return `data:image/png;base64,${Buffer.from(JSON.stringify(this.calls.splice(0))).toString('base64')}`;
+    };
+}
+
+function drawingOf(message) {
+    return JSON.parse(Buffer.from(message.payload.image.split(',')[1], 'base64').toString());
+}
+
+describe('key renderer', () => {
+    let harness;
+    let deck;
+    let twitch;
+
+    beforeEach(async () => {
+        harness = await startHarness();
+        deck = harness.deck;
+        twitch = harness.twitch;
+        recordDrawing(harness.window);
+
+        // Icons do not load in jsdom either; hand the renderer a stand-in
+        harness.plugin.keyRenderer.loadIcon = name => Promise.resolve({ icon: name });
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    // Wait for a key image with a drawing call matching the predicate
+    function waitForImage(context, predicate) {
+        return deck.waitFor(message => {
+            return message.event === 'setImage' && message.context === context && drawingOf(message).some(predicate);
+        });
+    }
+
+    const band = color => call => call.call === 'fillRect' && call.fillStyle === color && call.args[1] > 0;
+    const stripe = call => call.call === 'fillRect' && call.fillStyle === '#FF5252' && call.args[1] === 0;
+
+    it('draws the icon with an ON/OFF band and redraws only on changes', async () => {
+        deck.willAppear('subs', actionUuid('subsonly'));
+        await deck.waitForTitle('subs', 'OFF');
+        const off = await waitForImage('subs', band('#555555'));
+        assert.ok(drawingOf(off).some(call => call.call === 'drawImage' && call.args[0].icon === 'subscribers'));
+
+        deck.keyDown('subs');
+        await waitForImage('subs', band('#00C853'));
+
+        const images = deck.sent('setImage', 'subs').length;
+        harness.plugin.syncKeyStates();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.strictEqual(deck.sent('setImage', 'subs').length, images);
+    });
+
+    it('draws a countdown ring while a mode timer runs', async () => {
+        deck.willAppear('slow', actionUuid('slowmode'), { autoOffAfter: 600 });
+        await deck.waitForTitle('slow', 'OFF');
+
+        deck.keyDown('slow');
+        const image = await waitForImage('slow', call => call.call === 'arc' && call.strokeStyle === '#FFFFFF');
+        const ring = drawingOf(image).find(call => call.call === 'arc');
+        assert.strictEqual(ring.args[4] - ring.args[3], 2 * Math.PI);
+    });
+
+    it('shows held AutoMod messages as a badge', async () => {
+        await twitch.waitForSubscription('automod.message.hold');
+        deck.willAppear('allow', actionUuid('automodallow'));
+        await deck.waitForTitle('allow', 'ALLOW');
+
+        ['held-1', 'held-2'].forEach(id => twitch.notify('automod.message.hold', {
+            broadcaster_user_id: '100',
+            user_id: `user-${id}`,
+            user_login: id,
+            message_id: id,
+            message: { text: 'spam' }
+        }));
+        await waitForImage('allow', call => call.call === 'fillText' && call.args[0] === '2');
+    });
+
+    it('gives a key back its manifest image once it has no overlays', async () => {
+        await twitch.waitForSubscription('automod.message.hold');
+        deck.willAppear('allow', actionUuid('automodallow'));
+        deck.willAppear('undo', actionUuid('undo'));
+        await deck.waitForTitle('allow', 'ALLOW');
+        assert.deepStrictEqual(deck.sent('setImage', 'allow'), []);
+
+        twitch.notify('automod.message.hold', {
+            broadcaster_user_id: '100',
+            user_id: 'user-held-1',
+            user_login: 'held-1',
+            message_id: 'held-1',
+            message: { text: 'spam' }
+        });
+        await waitForImage('allow', call => call.call === 'fillText' && call.args[0] === '1');
+
+        twitch.notify('automod.message.update', { broadcaster_user_id: '100', message_id: 'held-1', status: 'denied' });
+        const reset = await deck.waitFor(message => message.event === 'setImage' && message.context === 'allow' && !('image' in message.payload));
+        assert.deepStrictEqual(reset.payload, { target: 0 });
+        assert.deepStrictEqual(deck.sent('setImage', 'undo'), []);
+    });
+
+    it('keeps the manifest image when the icon does not load', async () => {
+        harness.plugin.keyRenderer.loadIcon = () => Promise.resolve(null);
+        deck.willAppear('subs', actionUuid('subsonly'));
+        await deck.waitForTitle('subs', 'OFF');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.deepStrictEqual(deck.sent('setImage', 'subs'), []);
+    });
+
+    it('draws an error stripe until the next press succeeds', async () => {
+        deck.willAppear('emotes', actionUuid('emotesonly'));
+        await deck.waitForTitle('emotes', 'OFF');
+        twitch.failNext('PATCH', '/chat/settings', 400);
+
+        deck.keyDown('emotes');
+        await waitForImage('emotes', stripe);
+
+        deck.clear();
+        await new Promise(resolve => setTimeout(resolve, 500));
+        deck.keyDown('emotes');
+        const image = await waitForImage('emotes', band('#00C853'));
+        assert.ok(!drawingOf(image).some(stripe));
+        await eventually(() => twitch.chatSettings.emote_mode === true);
+    });
+});
@@ -0,0 +1,97 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startHarness, eventually, actionUuid } = require('./harness');
+
+describe('mode timers', () => {
+    let harness;
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    it('turns a mode off when its timer runs out', async () => {
+        harness = await startHarness();
+        const { deck, twitch } = harness;
+        deck.willAppear('subs', actionUuid('subsonly'), { autoOffAfter: 2 });
+        await deck.waitForTitle('subs', 'OFF');
+
+        deck.keyDown('subs');
+        await deck.waitForTitle('subs', 'ON\n2s');
+        assert.strictEqual(twitch.chatSettings.subscriber_mode, true);
+        await eventually(() => deck.globalSettings.modeTimers && deck.globalSettings.modeTimers.subscriber_mode);
+        assert.strictEqual(deck.globalSettings.modeTimers.subscriber_mode.broadcasterId, '100');
+
+        deck.clear();
+        await deck.waitForTitle('subs', 'ON\n1s');
+        await deck.waitForTitle('subs', 'OFF', 3000);
+        assert.strictEqual(twitch.chatSettings.subscriber_mode, false);
+        assert.deepStrictEqual(deck.globalSettings.modeTimers, {});
+    });
+
+    it('enforces the Shield Mode duration', async () => {
+        harness = await startHarness();
+        const { deck, twitch } = harness;
+        deck.willAppear('shield', actionUuid('shieldmode'), { shieldDuration: 1 });
+        await deck.waitForTitle('shield', 'OFF');
+
+        deck.keyDown('shield');
+        await deck.waitForTitle('shield', 'ON\n1s');
+        assert.strictEqual(twitch.shieldMode.is_active, true);
+
+        deck.clear();
+        await deck.waitForTitle('shield', 'OFF', 3000);
+        assert.strictEqual(twitch.shieldMode.is_active, false);
+    });
+
+    it('leaves a mode on without a timer', async () => {
+        harness = await startHarness();
+        const { deck } = harness;
+        deck.willAppear('emotes', actionUuid('emotesonly'));
+        deck.keyDown('emotes');
+        await deck.waitForTitle('emotes', 'ON');
+
+        assert.strictEqual(harness.plugin.modeTimers.get('emote_mode'), null);
+    });
+
+    it('cancels the timer when someone else turns the mode off', async () => {
+        harness = await startHarness();
+        const { deck, twitch } = harness;
+        deck.willAppear('slow', actionUuid('slowmode'), { autoOffAfter: 600 });
+        await twitch.waitForSubscription('channel.chat_settings.update');
+
+        deck.keyDown('slow');
+        await deck.waitForTitle('slow', 'ON\n10m 0s');
+
+        deck.clear();
+        twitch.chatSettings.slow_mode = false;
+        twitch.notify('channel.chat_settings.update', { broadcaster_user_id: '100', slow_mode: false });
+        await deck.waitForTitle('slow', 'OFF');
+        assert.strictEqual(harness.plugin.modeTimers.get('slow_mode'), null);
+        await eventually(() => deck.globalSettings.modeTimers && !deck.globalSettings.modeTimers.slow_mode);
+    });
+
+    it('restores persisted timers after a restart', async () => {
+        const modeTimers = {
+            follower_mode: { deadline: Date.now() + 90 * 1000, broadcasterId: '100', moderatorId: '200' },
+            slow_mode: { deadline: Date.now() - 1000, broadcasterId: '100', moderatorId: '200' }
+        };
+        harness = await startHarness({
+            globalSettings: { modeTimers: modeTimers },
+            configure: twitch => {
+                twitch.chatSettings.follower_mode = true;
+                twitch.chatSettings.slow_mode = true;
+            }
+        });
+        const { deck, twitch } = harness;
+        deck.willAppear('followers', actionUuid('followersonly'));
+        deck.willAppear('slow', actionUuid('slowmode'));
+
+        // The slow mode deadline passed while the plugin was not running
+        await deck.waitForTitle('slow', 'OFF');
+        assert.strictEqual(twitch.chatSettings.slow_mode, false);
+        await deck.waitFor(message => {
+            return message.event === 'setTitle' && message.context === 'followers' && /^ON\n1m 2\ds$/.test(message.payload.title);
+        });
+    });
+});
@@ -0,0 +1,126 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startHarness, eventually, actionUuid, ALL_SCOPES } = require('./harness');
+
+describe('property inspector', () => {
+    let harness;
+    let deck;
+    let twitch;
+
+    beforeEach(async () => {
+        harness = await startHarness();
+        deck = harness.deck;
+        twitch = harness.twitch;
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    it('shows the settings of the action', async () => {
+        deck.willAppear('slow', actionUuid('slowmode'), { slowDelay: 30 });
+        const window = await deck.openPropertyInspector('slow');
+
+        await eventually(() => window.document.getElementById('slowDelay').value === '30s');
+        assert.strictEqual(window.document.getElementById('shieldDuration'), null);
+        assert.strictEqual(window.document.getElementById('banSettings').style.display, 'none');
+    });
+
+    it('shows the auto-off timer for chat mode toggles', async () => {
+        deck.willAppear('subs', actionUuid('subsonly'));
+        const window = await deck.openPropertyInspector('subs');
+        await eventually(() => window.document.getElementById('autoOffAfter').value === '0s');
+        assert.strictEqual(window.document.getElementById('autoOffAfterItem').firstChild.textContent, 'Auto-off After (seconds, 0 = never)');
+
+        const input = window.document.getElementById('autoOffAfter');
+        input.value = '300';
+        input.dispatchEvent(new window.Event('change'));
+        await eventually(() => deck.settings.get('subs').autoOffAfter === 300);
+    });
+
+    it('saves key settings through the Stream Deck', async () => {
+        deck.willAppear('followers', actionUuid('followersonly'));
+        const window = await deck.openPropertyInspector('followers');
+        await eventually(() => window.document.getElementById('followDuration').value === '10m');
+
+        const input = window.document.getElementById('followDuration');
+        input.value = '45';
+        input.dispatchEvent(new window.Event('change'));
+
+        await eventually(() => deck.settings.get('followers').followDuration === 45);
+        deck.keyDown('followers');
+        await deck.waitForTitle('followers', 'ON');
+        assert.strictEqual(twitch.chatSettings.follower_mode_duration, 45);
+    });
+
+    it('renders the connection test report', async () => {
+        deck.willAppear('shield', actionUuid('shieldmode'));
+        const window = await deck.openPropertyInspector('shield');
+
+        window.document.getElementById('testConnection').click();
+
+        const checks = window.document.getElementById('connectionChecks');
+        await eventually(() => checks.children.length > 0);
+        assert.strictEqual(window.document.getElementById('connectionStatus').className, 'status-success');
+        assert.strictEqual(checks.querySelectorAll('.check-failed').length, 0);
+    });
+
+    it('shows connection test details as text and reports a test that throws', async () => {
+        deck.willAppear('shield', actionUuid('shieldmode'));
+        const window = await deck.openPropertyInspector('shield');
+        const checks = window.document.getElementById('connectionChecks');
+        const status = window.document.getElementById('connectionStatus');
+
+        harness.plugin.runConnectionTest = async () => ({
+            success: false,
+            message: '1 of 1 checks failed',
+            checks: [{ id: 'moderator', label: 'Moderator status', ok: false, detail: 'Not a moderator in <img src=x>' }]
+        });
+        window.document.getElementById('testConnection').click();
+        await eventually(() => checks.children.length === 1);
+        assert.strictEqual(checks.querySelector('img'), null);
+        assert.strictEqual(checks.textContent, 'Moderator status: Not a moderator in <img src=x>');
+
+        harness.plugin.runConnectionTest = async () => {
+            throw new Error('Unexpected reply');
+        };
+        window.document.getElementById('testConnection').click();
+        await eventually(() => status.textContent === 'Connection test failed: Unexpected reply');
+        assert.strictEqual(status.className, 'status-error');
+        assert.strictEqual(checks.children.length, 0);
+    });
+
+    it('shows the device code while authorization is pending', async () => {
+        twitch.deviceApproved = false;
+        deck.willAppear('shield', actionUuid('shieldmode'));
+        const window = await deck.openPropertyInspector('shield');
+        const status = window.document.getElementById('authStatus');
+
+        // The flow needs the Client ID the PI reads from the global settings
+        await eventually(() => window.document.getElementById('twitchClientId').value !== '');
+        window.document.getElementById('getTokenButton').click();
+        await eventually(() => status.querySelector('.auth-code') !== null);
+        assert.strictEqual(status.querySelector('.auth-code').textContent, 'ABCDEFGH');
+        assert.strictEqual(status.querySelector('a').href, 'https://www.twitch.tv/activate?device-code=ABCDEFGH');
+
+        // Every action's scopes are requested, not only those of the keys on the deck
+        assert.deepStrictEqual(twitch.deviceScopes.split(' '), ALL_SCOPES.concat('chat:read').sort());
+
+        twitch.deviceApproved = true;
+        await eventually(() => status.className === 'status-success');
+    });
+
+    it('reports a token that is missing scopes', async () => {
+        twitch.token.scopes = ['user:read:chat'];
+        harness.plugin.tokenInspector.validate();
+        deck.willAppear('shield', actionUuid('shieldmode'));
+        await deck.waitForTitle('shield', 'NO SCOPE');
+
+        const window = await deck.openPropertyInspector('shield');
+        const status = window.document.getElementById('scopeStatus');
+        await eventually(() => status.textContent.includes('moderator:manage:shield_mode'));
+        assert.ok(status.textContent.startsWith('Token for modname is missing scopes'));
+        assert.deepStrictEqual(Array.from(status.querySelectorAll('li code'), code => code.textContent), ['moderator:manage:shield_mode']);
+    });
+});
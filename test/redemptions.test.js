@@ -0,0 +1,137 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startHarness, eventually, actionUuid } = require('./harness');
+
+function redemption(id, rewardId, minute) {
+    return {
+        id: id,
+        broadcaster_user_id: '100',
+        user_login: `viewer${id}`,
+        reward: { id: rewardId },
+        status: 'UNFULFILLED',
+        redeemed_at: new Date(Date.UTC(2024, 0, 1, 12, minute)).toISOString()
+    };
+}
+
+describe('redemptions', () => {
+    let harness;
+    let deck;
+    let twitch;
+
+    beforeEach(async () => {
+        harness = await startHarness({
+            configure: fake => {
+                fake.rewards = [
+                    { id: 'reward-1', title: 'Hydrate', is_enabled: true, is_paused: false },
+                    { id: 'reward-2', title: 'Song Request', is_enabled: true, is_paused: false }
+                ];
+                // More than two pages of Hydrate redemptions, and one older Song Request
+                fake.redemptions = Array.from({ length: 120 }, (_, index) => redemption(`r${index + 1}`, 'reward-1', index + 10));
+                fake.redemptions.push(redemption('s1', 'reward-2', 5));
+            }
+        });
+        deck = harness.deck;
+        twitch = harness.twitch;
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    it('counts pending redemptions across every page', async () => {
+        deck.willAppear('hydrate', actionUuid('redemptions'), { rewardIds: 'reward-1' });
+        deck.willAppear('all', actionUuid('redemptions'));
+
+        await deck.waitForTitle('hydrate', 'FULFILL\n[120]');
+        await deck.waitForTitle('all', 'FULFILL\n[121]');
+        assert.ok(twitch.requestsTo('GET', '/channel_points/custom_rewards/redemptions').length >= 4);
+    });
+
+    it('keeps the count live from EventSub', async () => {
+        deck.willAppear('song', actionUuid('redemptions'), { rewardIds: 'reward-2' });
+        await deck.waitForTitle('song', 'FULFILL\n[1]');
+        await twitch.waitForSubscription('channel.channel_points_custom_reward_redemption.update');
+
+        twitch.notify('channel.channel_points_custom_reward_redemption.add', redemption('s2', 'reward-2', 200));
+        await deck.waitForTitle('song', 'FULFILL\n[2]');
+
+        deck.clear();
+        twitch.notify('channel.channel_points_custom_reward_redemption.update', { ...redemption('s1', 'reward-2', 5), status: 'FULFILLED' });
+        await deck.waitForTitle('song', 'FULFILL\n[1]');
+    });
+
+    it('fulfills and refunds the oldest redemption', async () => {
+        deck.willAppear('fulfill', actionUuid('redemptions'), { rewardIds: 'reward-1' });
+        deck.willAppear('refund', actionUuid('redemptions'), { rewardAction: 'refundOldest' });
+        await deck.waitForTitle('refund', 'REFUND\n[121]');
+
+        deck.keyDown('fulfill');
+        await deck.waitForTitle('fulfill', 'FULFILL\n[119]');
+        assert.strictEqual(twitch.redemptions.find(r => r.id === 'r1').status, 'FULFILLED');
+
+        // The Song Request redemption is older than every Hydrate one
+        deck.keyDown('refund');
+        await deck.waitForTitle('refund', 'REFUND\n[119]');
+        assert.strictEqual(twitch.redemptions.find(r => r.id === 's1').status, 'CANCELED');
+        assert.strictEqual(twitch.redemptions.find(r => r.id === 'r2').status, 'UNFULFILLED');
+    });
+
+    it('refunds every redemption in batches of 50', async () => {
+        deck.willAppear('refundall', actionUuid('redemptions'), { rewardAction: 'refundAll', rewardIds: 'reward-1' });
+        await deck.waitForTitle('refundall', 'REFUND ALL\n[120]');
+
+        deck.keyDown('refundall');
+        await deck.waitForTitle('refundall', 'REFUND ALL\n[0]');
+
+        const patches = twitch.requestsTo('PATCH', '/channel_points/custom_rewards/redemptions');
+        assert.deepStrictEqual(patches.map(patch => patch.query.getAll('id').length), [50, 50, 20]);
+        assert.ok(twitch.redemptions.filter(r => r.reward.id === 'reward-1').every(r => r.status === 'CANCELED'));
+        assert.strictEqual(twitch.redemptions.find(r => r.id === 's1').status, 'UNFULFILLED');
+    });
+
+    it('pauses a reward and undoes it', async () => {
+        deck.willAppear('pause', actionUuid('redemptions'), { rewardAction: 'togglePause', rewardIds: 'reward-2' });
+        deck.willAppear('undo', actionUuid('undo'));
+        await deck.waitForTitle('pause', 'LIVE\n[1]');
+
+        deck.keyDown('pause');
+        await deck.waitForTitle('pause', 'PAUSED\n[1]');
+        assert.strictEqual(twitch.rewards[1].is_paused, true);
+        await deck.waitForTitle('undo', 'UNDO\nPause Song Request');
+
+        deck.clear();
+        deck.keyDown('undo');
+        await deck.waitForTitle('pause', 'LIVE\n[1]');
+        assert.strictEqual(twitch.rewards[1].is_paused, false);
+    });
+
+    it('shows rewards disabled from the dashboard', async () => {
+        deck.willAppear('enable', actionUuid('redemptions'), { rewardAction: 'toggleEnabled', rewardIds: 'reward-1' });
+        await deck.waitForTitle('enable', 'ENABLED\n[120]');
+        await twitch.waitForSubscription('channel.channel_points_custom_reward.update');
+
+        twitch.notify('channel.channel_points_custom_reward.update', { ...twitch.rewards[0], broadcaster_user_id: '100', is_enabled: false });
+        await deck.waitForTitle('enable', 'DISABLED\n[120]');
+
+        deck.clear();
+        deck.keyDown('enable');
+        await deck.waitForTitle('enable', 'ENABLED\n[120]');
+        assert.strictEqual(twitch.rewards[0].is_enabled, true);
+    });
+
+    it('picks rewards in the Property Inspector', async () => {
+        deck.willAppear('key', actionUuid('redemptions'));
+        const window = await deck.openPropertyInspector('key');
+        const document = window.document;
+        await eventually(() => document.querySelectorAll('#rewardList input').length === 2);
+        assert.match(document.getElementById('rewardList').textContent, /Hydrate \(120\)/);
+
+        const song = document.querySelector('#rewardList input[value="reward-2"]');
+        song.checked = true;
+        song.dispatchEvent(new window.Event('change'));
+
+        await eventually(() => deck.settings.get('key').rewardIds === 'reward-2');
+        await deck.waitForTitle('key', 'FULFILL\n[1]');
+    });
+});
@@ -0,0 +1,74 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startHarness, eventually, actionUuid } = require('./harness');
+
+describe('request scheduler', () => {
+    let harness;
+    let deck;
+    let twitch;
+
+    beforeEach(async () => {
+        harness = await startHarness();
+        deck = harness.deck;
+        twitch = harness.twitch;
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    it('retries an idempotent request after a server error', async () => {
+        deck.willAppear('shield', actionUuid('shieldmode'));
+        await deck.waitForTitle('shield', 'OFF');
+        twitch.failNext('PUT', '/moderation/shield_mode', 503);
+
+        deck.keyDown('shield');
+        await deck.waitForTitle('shield', 'ON');
+        assert.strictEqual(twitch.requestsTo('PUT', '/moderation/shield_mode').length, 2);
+        assert.strictEqual(twitch.shieldMode.is_active, true);
+    });
+
+    it('does not repeat a ban after a server error', async () => {
+        await twitch.waitForSubscription('channel.chat.message');
+        twitch.notify('channel.chat.message', {
+            broadcaster_user_id: '100',
+            chatter_user_id: '400',
+            chatter_user_login: 'spammer',
+            chatter_user_name: 'spammer',
+            message_id: 'chat-1',
+            message: { text: 'buy followers' }
+        });
+        await eventually(() => harness.plugin.recentChatters.list().length === 1);
+        twitch.failNext('POST', '/moderation/bans', 503);
+
+        deck.willAppear('ban', actionUuid('timeoutban'));
+        deck.keyDown('ban');
+        await deck.waitFor(message => message.event === 'showAlert' && message.context === 'ban');
+        assert.strictEqual(twitch.requestsTo('POST', '/moderation/bans').length, 1);
+        assert.deepStrictEqual(twitch.bans, []);
+    });
+
+    it('shows RATE LIMITED while the bucket is empty', async () => {
+        deck.willAppear('shield', actionUuid('shieldmode'));
+        await deck.waitForTitle('shield', 'OFF');
+        twitch.rateLimit.remaining = 0;
+
+        deck.keyDown('shield');
+        await deck.waitForTitle('shield', 'RATE LIMITED');
+        assert.ok(!deck.messages.some(message => message.event === 'showAlert' && message.context === 'shield'));
+        assert.strictEqual(harness.plugin.api.rateLimit.remaining, 0);
+        assert.strictEqual(twitch.shieldMode.is_active, false);
+    });
+
+    it('ignores a double press of the same key', async () => {
+        deck.willAppear('subs', actionUuid('subsonly'));
+        await deck.waitForTitle('subs', 'OFF');
+
+        deck.keyDown('subs');
+        deck.keyDown('subs');
+        await deck.waitForTitle('subs', 'ON');
+        assert.strictEqual(twitch.requestsTo('PATCH', '/chat/settings').length, 1);
+        assert.strictEqual(twitch.chatSettings.subscriber_mode, true);
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startHarness, eventually, actionUuid } = require('./harness');
+
+describe('settings schema', () => {
+    let harness;
+    let deck;
+    let twitch;
+
+    beforeEach(async () => {
+        harness = await startHarness();
+        deck = harness.deck;
+        twitch = harness.twitch;
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    it('builds the inputs from the action schema', async () => {
+        deck.willAppear('ban', actionUuid('timeoutban'));
+        const window = await deck.openPropertyInspector('ban');
+        const document = window.document;
+        await eventually(() => document.getElementById('banDuration').value === '10m');
+
+        const duration = document.getElementById('banDuration');
+        assert.strictEqual(duration.type, 'text');
+        assert.strictEqual(document.getElementById('banDurationItem').firstChild.textContent, 'Timeout Duration (seconds)');
+        assert.deepStrictEqual(Array.from(document.getElementById('banMode').options).map(option => option.value), ['timeout', 'ban']);
+        assert.strictEqual(document.getElementById('banUserLogin').type, 'hidden');
+        assert.strictEqual(document.getElementById('noSettings').style.display, 'none');
+    });
+
+    it('shows zero values', async () => {
+        deck.willAppear('followers', actionUuid('followersonly'), { followDuration: 0 });
+        const window = await deck.openPropertyInspector('followers');
+        const input = window.document.getElementById('followDuration');
+        await eventually(() => input.value === '0s');
+    });
+
+    it('refuses to save values outside the schema', async () => {
+        deck.willAppear('slow', actionUuid('slowmode'), { slowDelay: 30 });
+        const window = await deck.openPropertyInspector('slow');
+        const document = window.document;
+        const input = document.getElementById('slowDelay');
+        await eventually(() => input.value === '30s');
+
+        input.value = '';
+        input.dispatchEvent(new window.Event('change'));
+        assert.strictEqual(document.getElementById('slowDelayError').textContent, 'Enter a duration such as 90s, 5m or 1h30m');
+        assert.ok(input.classList.contains('invalid'));
+        assert.strictEqual(deck.settings.get('slow').slowDelay, 30);
+
+        input.value = '60';
+        input.dispatchEvent(new window.Event('change'));
+        assert.strictEqual(document.getElementById('slowDelayError').textContent, '');
+        await eventually(() => deck.settings.get('slow').slowDelay === 60);
+    });
+
+    it('does not call Twitch with settings outside the schema', async () => {
+        deck.willAppear('slow', actionUuid('slowmode'), { slowDelay: 500 });
+        await deck.waitForTitle('slow', 'INVALID');
+
+        deck.keyDown('slow');
+        await deck.waitFor(message => message.event === 'showAlert' && message.context === 'slow');
+        assert.strictEqual(twitch.requestsTo('PATCH', '/chat/settings').length, 0);
+
+        const [entry] = harness.plugin.auditLog.entries();
+        assert.strictEqual(entry.result, 'invalid');
+        assert.strictEqual(entry.error, 'slowDelay: Must be at most 120 seconds');
+    });
+});
@@ -0,0 +1,198 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startHarness, eventually, actionUuid } = require('./harness');
+
+function raid(userId, login) {
+    return {
+        from_broadcaster_user_id: userId,
+        from_broadcaster_user_login: login,
+        from_broadcaster_user_name: login,
+        to_broadcaster_user_id: '100',
+        viewers: 10
+    };
+}
+
+function titleMatching(deck, context, pattern) {
+    return deck.waitFor(message => {
+        return message.event === 'setTitle' && message.context === context && pattern.test(message.payload.title);
+    });
+}
+
+describe('shoutout queue', () => {
+    let harness;
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    it('waits for the global cooldown before the next shoutout', async () => {
+        harness = await startHarness();
+        const { deck, twitch } = harness;
+        deck.willAppear('shoutout', actionUuid('autoshoutout'));
+        await twitch.waitForSubscription('channel.raid');
+
+        twitch.notify('channel.raid', raid('300', 'raider'));
+        await deck.waitForTitle('shoutout', 'SO: raider');
+        twitch.notify('channel.raid', raid('301', 'secondraider'));
+        await titleMatching(deck, 'shoutout', /^SO in (2:00|1:5\d)\n→ secondrai…$/);
+
+        deck.keyDown('shoutout');
+        await deck.waitFor(message => message.event === 'showAlert' && message.context === 'shoutout');
+        assert.deepStrictEqual(twitch.shoutouts, ['300']);
+        assert.strictEqual(deck.globalSettings.shoutoutQueues['100'].entries[0].userId, '301');
+    });
+
+    it('sends the next shoutout when the cooldown clears', async () => {
+        harness = await startHarness({
+            globalSettings: {
+                shoutoutQueues: {
+                    100: {
+                        broadcasterId: '100',
+                        entries: [{ userId: '300', login: 'raider', displayName: 'Raider', source: 'raid' }],
+                        lastSentAt: Date.now() - 2 * 60 * 1000 + 1500,
+                        sentTo: {}
+                    }
+                }
+            }
+        });
+        const { deck, twitch } = harness;
+        deck.willAppear('shoutout', actionUuid('autoshoutout'));
+
+        await deck.waitForTitle('shoutout', 'SO in 0:01\n→ raider');
+        assert.deepStrictEqual(twitch.shoutouts, []);
+        await deck.waitForTitle('shoutout', 'SO: raider', 3000);
+        assert.deepStrictEqual(twitch.shoutouts, ['300']);
+        assert.deepStrictEqual(deck.globalSettings.shoutoutQueues['100'].entries, []);
+    });
+
+    it('skips ahead of a broadcaster still in their hour-long cooldown', async () => {
+        harness = await startHarness({
+            globalSettings: {
+                shoutoutQueues: {
+                    100: {
+                        broadcasterId: '100',
+                        entries: [
+                            { userId: '300', login: 'raider', source: 'raid' },
+                            { userId: '301', login: 'other', source: 'raid' }
+                        ],
+                        lastSentAt: Date.now() - 30 * 60 * 1000,
+                        sentTo: { 300: Date.now() - 30 * 60 * 1000 }
+                    }
+                }
+            }
+        });
+        const { deck, twitch } = harness;
+        deck.willAppear('shoutout', actionUuid('autoshoutout'));
+
+        await eventually(() => twitch.shoutouts.length === 1);
+        assert.deepStrictEqual(twitch.shoutouts, ['301']);
+        await titleMatching(deck, 'shoutout', /^SO in (30:00|29:5\d)\n→ raider$/);
+    });
+
+    it('picks up the single queue earlier builds saved', async () => {
+        harness = await startHarness({
+            globalSettings: {
+                shoutoutQueue: {
+                    broadcasterId: '100',
+                    entries: [{ userId: '300', login: 'raider', source: 'raid' }],
+                    lastSentAt: Date.now() - 2 * 60 * 1000 + 1500,
+                    sentTo: {}
+                }
+            }
+        });
+        const { deck, twitch } = harness;
+        deck.willAppear('shoutout', actionUuid('autoshoutout'));
+
+        await deck.waitForTitle('shoutout', 'SO: raider', 3000);
+        assert.deepStrictEqual(twitch.shoutouts, ['300']);
+        assert.deepStrictEqual(deck.globalSettings.shoutoutQueues['100'].entries, []);
+        assert.strictEqual(deck.globalSettings.shoutoutQueue, undefined);
+    });
+
+    it('falls back to a chat message when Twitch refuses the shoutout', async () => {
+        harness = await startHarness();
+        const { deck, twitch } = harness;
+        deck.willAppear('shoutout', actionUuid('autoshoutout'));
+        await twitch.waitForSubscription('channel.raid');
+        twitch.failNext('POST', '/chat/shoutouts', 400);
+
+        twitch.notify('channel.raid', raid('300', 'raider'));
+        await deck.waitForTitle('shoutout', 'MSG: raider');
+        assert.deepStrictEqual(twitch.shoutouts, []);
+        assert.deepStrictEqual(twitch.chatMessages, [{
+            broadcaster_id: '100',
+            sender_id: '200',
+            message: 'Go check out raider at https://twitch.tv/raider !'
+        }]);
+    });
+
+    it('keeps a shoutout Twitch refuses as on cooldown queued instead of falling back', async () => {
+        harness = await startHarness();
+        const { deck, twitch } = harness;
+        deck.willAppear('shoutout', actionUuid('autoshoutout'));
+        await twitch.waitForSubscription('channel.raid');
+        twitch.failNext('POST', '/chat/shoutouts', 429);
+
+        // Another moderator shouted the raider out first
+        twitch.notify('channel.raid', raid('300', 'raider'));
+        await titleMatching(deck, 'shoutout', /^SO in (1:00:00|59:5\d)\n→ raider$/);
+        assert.deepStrictEqual(twitch.shoutouts, []);
+        assert.deepStrictEqual(twitch.chatMessages, []);
+        assert.strictEqual(deck.globalSettings.shoutoutQueues['100'].entries[0].userId, '300');
+        assert.ok(deck.globalSettings.shoutoutQueues['100'].lastSentAt > Date.now() - 5000);
+    });
+
+    it('only needs user:write:chat while a fallback message is set', async () => {
+        harness = await startHarness({
+            configure: fake => {
+                fake.token.scopes = ['moderator:manage:shoutouts', 'user:read:chat'];
+            }
+        });
+        const { deck } = harness;
+        deck.willAppear('shoutout', actionUuid('autoshoutout'));
+        await deck.waitForTitle('shoutout', 'NO SCOPE');
+
+        deck.clear();
+        harness.plugin.updateGlobalSettings({ shoutoutFallback: '' });
+        await titleMatching(deck, 'shoutout', /^(?!NO SCOPE)/);
+    });
+
+    it('posts the old /me default without the command', async () => {
+        harness = await startHarness({
+            globalSettings: { shoutoutFallback: '/me Go check out {user} at https://twitch.tv/{login} !' }
+        });
+        const { deck, twitch } = harness;
+        deck.willAppear('shoutout', actionUuid('autoshoutout'));
+        await twitch.waitForSubscription('channel.raid');
+        twitch.failNext('POST', '/chat/shoutouts', 400);
+
+        twitch.notify('channel.raid', raid('300', 'raider'));
+        await deck.waitForTitle('shoutout', 'MSG: raider');
+        assert.strictEqual(twitch.chatMessages[0].message, 'Go check out raider at https://twitch.tv/raider !');
+    });
+
+    it('queues and removes shoutouts from the Property Inspector', async () => {
+        harness = await startHarness({
+            globalSettings: {
+                shoutoutFallback: 'Follow {user}!',
+                shoutoutQueues: { 100: { broadcasterId: '100', entries: [], lastSentAt: Date.now(), sentTo: {} } }
+            }
+        });
+        const { deck, twitch } = harness;
+        deck.willAppear('shoutout', actionUuid('autoshoutout'));
+        const window = await deck.openPropertyInspector('shoutout');
+        const document = window.document;
+        await eventually(() => document.getElementById('shoutoutFallback').value === 'Follow {user}!');
+
+        document.getElementById('shoutoutLogin').value = '@Raider';
+        document.getElementById('addShoutoutButton').click();
+        await eventually(() => document.getElementById('shoutoutQueueList').textContent.includes('raider (manual, after'));
+        await titleMatching(deck, 'shoutout', /^SO in (2:00|1:5\d)\n→ raider$/);
+
+        document.querySelector('#shoutoutQueueList button').click();
+        await eventually(() => document.getElementById('shoutoutQueueList').textContent === 'Nobody is waiting for a shoutout');
+        assert.deepStrictEqual(deck.globalSettings.shoutoutQueues['100'].entries, []);
+        assert.deepStrictEqual(twitch.shoutouts, []);
+    });
+});
@@ -0,0 +1,93 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startHarness, eventually, actionUuid } = require('./harness');
+
+describe('undo', () => {
+    let harness;
+    let deck;
+    let twitch;
+
+    beforeEach(async () => {
+        harness = await startHarness();
+        deck = harness.deck;
+        twitch = harness.twitch;
+        deck.willAppear('undo', actionUuid('undo'));
+        await deck.waitForTitle('undo', 'NOTHING');
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    it('restores the previous chat settings', async () => {
+        twitch.chatSettings.slow_mode = true;
+        twitch.chatSettings.slow_mode_wait_time = 30;
+        deck.willAppear('slow', actionUuid('slowmode'));
+
+        deck.keyDown('slow');
+        await deck.waitForTitle('undo', 'UNDO\nSlow OFF');
+        assert.strictEqual(twitch.chatSettings.slow_mode, false);
+
+        deck.clear();
+        deck.keyDown('undo');
+        await deck.waitForTitle('slow', 'ON');
+        assert.strictEqual(twitch.chatSettings.slow_mode, true);
+        assert.strictEqual(twitch.chatSettings.slow_mode_wait_time, 30);
+        await deck.waitForTitle('undo', 'NOTHING');
+    });
+
+    it('turns Shield Mode back off', async () => {
+        deck.willAppear('shield', actionUuid('shieldmode'));
+        deck.keyDown('shield');
+        await deck.waitForTitle('undo', 'UNDO\nShield ON');
+
+        deck.clear();
+        deck.keyDown('undo');
+        await eventually(() => twitch.shieldMode.is_active === false);
+        await deck.waitForTitle('shield', 'OFF');
+    });
+
+    it('lifts a timeout', async () => {
+        await twitch.waitForSubscription('channel.chat.message');
+        twitch.notify('channel.chat.message', {
+            chatter_user_id: '400',
+            chatter_user_login: 'spammer',
+            chatter_user_name: 'spammer',
+            message: { text: 'oops' }
+        });
+        await eventually(() => harness.plugin.recentChatters.latest());
+
+        deck.willAppear('ban', actionUuid('timeoutban'));
+        deck.keyDown('ban');
+        await deck.waitForTitle('undo', 'UNDO\nTO spammer');
+        assert.strictEqual(twitch.bans.length, 1);
+
+        deck.clear();
+        deck.keyDown('undo');
+        await deck.waitForTitle('undo', 'NOTHING');
+        assert.deepStrictEqual(twitch.bans, []);
+        assert.strictEqual(twitch.requestsTo('DELETE', '/moderation/bans')[0].query.get('user_id'), '400');
+    });
+
+    it('undoes the most recent action first and skips ones Twitch cannot revert', async () => {
+        deck.willAppear('subs', actionUuid('subsonly'));
+        deck.willAppear('emotes', actionUuid('emotesonly'));
+        deck.willAppear('rewards', actionUuid('clearrewards'));
+        twitch.redemptions = [{ id: 'redemption-1', reward: { id: 'reward-1' }, status: 'UNFULFILLED' }];
+
+        deck.keyDown('subs');
+        await deck.waitForTitle('undo', 'UNDO\nSubs ON');
+        deck.keyDown('emotes');
+        await deck.waitForTitle('undo', 'UNDO\nEmotes ON');
+        deck.keyDown('rewards');
+        await deck.waitForTitle('rewards', '1 cleared');
+        assert.strictEqual(harness.plugin.journal.list()[0].type, 'rewardClear');
+
+        deck.clear();
+        deck.keyDown('undo');
+        await deck.waitForTitle('undo', 'UNDO\nSubs ON');
+        assert.strictEqual(twitch.chatSettings.emote_mode, false);
+        assert.strictEqual(twitch.chatSettings.subscriber_mode, true);
+    });
+});